@@ -0,0 +1,335 @@
+// ============================================================================
+// DEBUG EXPRESSIONS
+// Small expression language over registers and memory used by breakpoint
+// conditions (`RCX == 5`, `[RBP-0x8] > 10`) and logpoint messages.
+// ============================================================================
+
+/**
+ * Parsed debugger expression. Parsing happens once when the expression is set,
+ * so typos are reported immediately; evaluation then only reads machine state.
+ *
+ * @class DebugExpression
+ * @description
+ * **Operands:**
+ * - Numbers: decimal (`10`, `-3`) or hex (`0x7ffc`)
+ * - Registers by name, any case: RAX/EAX/AX/AL, R8-R15 with D/W/B suffixes, RIP, RFLAGS
+ * - Global variables by name stand for their address, so `[counter]` is the variable's value
+ * - Memory: `[expr]` reads a 4-byte int (like a C `int` local); prefix `byte`, `word`,
+ *   `dword` or `qword`, optionally followed by `ptr`, for other sizes - the same
+ *   syntax the disassembly shows, e.g. `qword ptr [rbp - 0x10]`
+ *
+ * **Operators (lowest to highest precedence):**
+ * - `||`, `&&`, comparisons `== != < <= > >=`, `|`, `^`, `&`, `<< >>`, `+ -`, `* / %`
+ * - Unary `-`, `!`, `~` and parentheses
+ *
+ * All arithmetic is done on BigInt. Registers and memory are read as signed values
+ * of their width, so `[RBP-0x4] < 0` works for negative ints. A hex literal written
+ * directly against one of them (`RAX == 0xffffffffffffffff`, `[RBP-0x8] != 0xdeadbeef`)
+ * is a bit pattern of that width and is read as signed the same way, so both sides
+ * compare in one domain; one too wide for the operand keeps its value. Decimal
+ * literals are always plain values.
+ *
+ * @example
+ * const condition = DebugExpression.parse('RCX == 5 && [RBP-0x8] > 10');
+ * condition.test(machine); // machine: { readRegister(name), readMemory(address, size), lookupSymbol(name) }
+ */
+class DebugExpression {
+  /**
+   * @param {string} source - Expression text as the user typed it
+   * @param {Object} tree - Parsed syntax tree, see {@link DebugExpression.parse}
+   */
+  constructor(source, tree) {
+    this.source = source;
+    this.tree = tree;
+  }
+
+  /**
+   * @param {string} source - Expression text
+   * @returns {DebugExpression}
+   * @throws {Error} With a message pointing at the offending token
+   */
+  static parse(source) {
+    const parser = new DebugExpressionParser(source);
+    return new DebugExpression(source.trim(), parser.parseAll());
+  }
+
+  /**
+   * Splits a logpoint message into literal text and `{expression}` parts, parsing
+   * every expression up front.
+   * @returns {Array<string|DebugExpression>}
+   */
+  static parseTemplate(template) {
+    const parts = [];
+    const pattern = /\{([^{}]*)\}/g;
+    let last = 0;
+    let match;
+    while ((match = pattern.exec(template)) !== null) {
+      parts.push(template.slice(last, match.index));
+      parts.push(DebugExpression.parse(match[1]));
+      last = pattern.lastIndex;
+    }
+    parts.push(template.slice(last));
+    return parts.filter(part => part !== '');
+  }
+
+  // Renders a template from parseTemplate() with the current machine state
+  static formatTemplate(parts, machine) {
+    return parts.map(part => typeof part === 'string' ? part : part.evaluate(machine).toString()).join('');
+  }
+
+  /**
+   * @param {Object} machine - Provides readRegister(name) -> BigInt (raw, unsigned),
+   *   readMemory(address, size) -> Uint8Array and lookupSymbol(name) -> address
+   * @returns {bigint}
+   */
+  evaluate(machine) {
+    return DebugExpression.evaluateNode(this.tree, machine);
+  }
+
+  test(machine) {
+    return this.evaluate(machine) !== 0n;
+  }
+
+  toString() {
+    return this.source;
+  }
+
+  static evaluateNode(node, machine) {
+    switch (node.type) {
+      case 'number':
+        return node.value;
+      case 'register':
+        return BigInt.asIntN(node.size * 8, machine.readRegister(node.name));
+      case 'symbol':
+        return BigInt(machine.lookupSymbol(node.name));
+      case 'memory': {
+        const address = DebugExpression.evaluateNode(node.address, machine);
+        const bytes = machine.readMemory(Number(BigInt.asUintN(64, address)), node.size);
+        let value = 0n;
+        for (let i = node.size - 1; i >= 0; i--) {
+          value = (value << 8n) | BigInt(bytes[i]);
+        }
+        return BigInt.asIntN(node.size * 8, value);
+      }
+      case 'unary': {
+        const operand = DebugExpression.evaluateNode(node.operand, machine);
+        switch (node.operator) {
+          case '-': return -operand;
+          case '~': return ~operand;
+          case '!': return operand === 0n ? 1n : 0n;
+        }
+        break;
+      }
+      case 'binary': {
+        // && and || short-circuit so `RDI != 0 && [RDI] == 1` never reads address 0
+        if (node.operator === '&&' || node.operator === '||') {
+          const left = DebugExpression.evaluateNode(node.left, machine) !== 0n;
+          if (left === (node.operator === '||')) {
+            return left ? 1n : 0n;
+          }
+          return DebugExpression.evaluateNode(node.right, machine) !== 0n ? 1n : 0n;
+        }
+        const left = DebugExpression.evaluateNode(node.left, machine);
+        const right = DebugExpression.evaluateNode(node.right, machine);
+        return DebugExpression.applyOperator(node.operator, left, right);
+      }
+    }
+    throw new Error(`Cannot evaluate ${node.type} node`);
+  }
+
+  static applyOperator(operator, left, right) {
+    switch (operator) {
+      case '==': return left === right ? 1n : 0n;
+      case '!=': return left !== right ? 1n : 0n;
+      case '<': return left < right ? 1n : 0n;
+      case '<=': return left <= right ? 1n : 0n;
+      case '>': return left > right ? 1n : 0n;
+      case '>=': return left >= right ? 1n : 0n;
+      case '|': return left | right;
+      case '^': return left ^ right;
+      case '&': return left & right;
+      case '<<': return left << right;
+      case '>>': return left >> right;
+      case '+': return left + right;
+      case '-': return left - right;
+      case '*': return left * right;
+      case '/':
+      case '%':
+        if (right === 0n) {
+          throw new Error('Division by zero');
+        }
+        return operator === '/' ? left / right : left % right;
+    }
+    throw new Error(`Unknown operator ${operator}`);
+  }
+
+  /**
+   * Width in bytes of an x86 register name, or 0 if it is not one.
+   * Covers the general purpose registers at every width plus RIP and the flags.
+   */
+  static registerSize(name) {
+    const upper = name.toUpperCase();
+    if (/^R([ABCD]X|SI|DI|BP|SP|IP|FLAGS|(8|9|1[0-5]))$/.test(upper)) {
+      return 8;
+    }
+    if (/^E([ABCD]X|SI|DI|BP|SP|IP|FLAGS)$/.test(upper) || /^R(8|9|1[0-5])D$/.test(upper)) {
+      return 4;
+    }
+    if (/^([ABCD]X|SI|DI|BP|SP)$/.test(upper) || /^R(8|9|1[0-5])W$/.test(upper)) {
+      return 2;
+    }
+    if (/^([ABCD][LH]|SIL|DIL|BPL|SPL)$/.test(upper) || /^R(8|9|1[0-5])B$/.test(upper)) {
+      return 1;
+    }
+    return 0;
+  }
+}
+
+// Binary operators from lowest to highest precedence
+DebugExpression.PRECEDENCE = [
+  ['||'],
+  ['&&'],
+  ['==', '!=', '<', '<=', '>', '>='],
+  ['|'],
+  ['^'],
+  ['&'],
+  ['<<', '>>'],
+  ['+', '-'],
+  ['*', '/', '%']
+];
+
+DebugExpression.MEMORY_SIZES = { byte: 1, word: 2, dword: 4, qword: 8 };
+DebugExpression.DEFAULT_MEMORY_SIZE = 4;
+
+/**
+ * Recursive descent parser behind {@link DebugExpression.parse}.
+ * @private
+ */
+class DebugExpressionParser {
+  constructor(source) {
+    this.source = source;
+    this.tokens = DebugExpressionParser.tokenize(source);
+    this.position = 0;
+  }
+
+  static tokenize(source) {
+    const tokens = [];
+    const pattern = /\s*(0x[0-9a-fA-F]+|\d+|[A-Za-z_][A-Za-z0-9_]*|\|\||&&|==|!=|<=|>=|<<|>>|[-+*\/%&|^~!<>()\[\]])/y;
+    let index = 0;
+    while (index < source.length) {
+      if (/^\s*$/.test(source.slice(index))) {
+        break;
+      }
+      pattern.lastIndex = index;
+      const match = pattern.exec(source);
+      if (!match) {
+        const offset = index + source.slice(index).search(/\S/);
+        throw new Error(`Unexpected character '${source[offset]}' at position ${offset + 1}`);
+      }
+      tokens.push(match[1]);
+      index = pattern.lastIndex;
+    }
+    return tokens;
+  }
+
+  parseAll() {
+    if (this.tokens.length === 0) {
+      throw new Error('Empty expression');
+    }
+    const tree = this.parseBinary(0);
+    if (this.position < this.tokens.length) {
+      throw new Error(`Unexpected '${this.tokens[this.position]}'`);
+    }
+    return tree;
+  }
+
+  peek() {
+    return this.tokens[this.position];
+  }
+
+  next() {
+    const token = this.tokens[this.position++];
+    if (token === undefined) {
+      throw new Error('Expression ends too early');
+    }
+    return token;
+  }
+
+  expect(token) {
+    const actual = this.next();
+    if (actual !== token) {
+      throw new Error(`Expected '${token}' but found '${actual}'`);
+    }
+  }
+
+  parseBinary(level) {
+    if (level === DebugExpression.PRECEDENCE.length) {
+      return this.parseUnary();
+    }
+    const operators = DebugExpression.PRECEDENCE[level];
+    let left = this.parseBinary(level + 1);
+    while (operators.includes(this.peek())) {
+      const operator = this.next();
+      const right = this.parseBinary(level + 1);
+      left = {
+        type: 'binary',
+        operator,
+        left: DebugExpressionParser.fitLiteral(left, right),
+        right: DebugExpressionParser.fitLiteral(right, left)
+      };
+    }
+    return left;
+  }
+
+  // A hex literal against a register or memory operand, read as signed at the operand's width
+  static fitLiteral(literal, operand) {
+    if (literal.type !== 'number' || !literal.hex || !operand.size || literal.value >= 1n << BigInt(operand.size * 8)) {
+      return literal;
+    }
+    return { type: 'number', value: BigInt.asIntN(operand.size * 8, literal.value), hex: true };
+  }
+
+  parseUnary() {
+    if (['-', '!', '~'].includes(this.peek())) {
+      const operator = this.next();
+      return { type: 'unary', operator, operand: this.parseUnary() };
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.next();
+    if (/^(0x[0-9a-fA-F]+|\d+)$/.test(token)) {
+      return { type: 'number', value: BigInt(token), hex: token.startsWith('0x') };
+    }
+    if (token === '(') {
+      const inner = this.parseBinary(0);
+      this.expect(')');
+      return inner;
+    }
+
+    const sizeName = token.toLowerCase();
+    if (token === '[' || DebugExpression.MEMORY_SIZES[sizeName]) {
+      let size = DebugExpression.DEFAULT_MEMORY_SIZE;
+      if (token !== '[') {
+        size = DebugExpression.MEMORY_SIZES[sizeName];
+        if (this.peek() && this.peek().toLowerCase() === 'ptr') {
+          this.next();
+        }
+        this.expect('[');
+      }
+      const address = this.parseBinary(0);
+      this.expect(']');
+      return { type: 'memory', size, address };
+    }
+
+    const registerSize = DebugExpression.registerSize(token);
+    if (registerSize > 0) {
+      return { type: 'register', name: token.toUpperCase(), size: registerSize };
+    }
+    if (/^[A-Za-z_]/.test(token)) {
+      return { type: 'symbol', name: token };
+    }
+    throw new Error(`Unexpected '${token}'`);
+  }
+}
@@ -0,0 +1,305 @@
+// ============================================================================
+// EXECUTION HISTORY
+// Record of what the program has executed and overwritten, so the debugger
+// can step backwards. Unicorn.js cannot save CPU contexts (context_save
+// returns nothing), so registers are snapshotted by hand.
+// ============================================================================
+
+/**
+ * Undo log for reverse execution.
+ *
+ * @class ExecutionHistory
+ * @description
+ * **What is recorded:**
+ * - A checkpoint before every emu_start: all general purpose, flag, XMM and x87
+ *   registers, packed into one buffer, plus the few scalars of the syscall emulator
+ * - The old bytes of every memory write, both from emulated instructions (via the
+ *   debugger's HOOK_MEM_WRITE) and from JavaScript (`engine.mem_write` is wrapped)
+ * - An undo function for every change to the libc shim's heap bookkeeping, see
+ *   {@link ExecutionHistory#recordChange}. Checkpoints never copy the allocator, so a
+ *   program calling malloc in a loop costs memory in proportion to its calls.
+ * - The address of every executed instruction, one entry per native block or step
+ *
+ * **Going back:** {@link ExecutionHistory#restore} puts the machine back to the last
+ * checkpoint at or before a position; the debugger then re-executes forward to the
+ * exact instruction. Stretches between checkpoints only hold plain instructions -
+ * syscalls and libc calls are single-stepped with a checkpoint of their own - so
+ * re-executing them has no effect outside the emulator.
+ *
+ * Positions count instructions executed since the debugger started or was reset.
+ * Once the log grows past its limits the oldest half is dropped, which moves
+ * {@link ExecutionHistory#oldestPosition} forward.
+ *
+ * **Shared write journal:** the execution trace reads its memory effects from
+ * {@link ExecutionHistory#writes} instead of keeping a log of its own. Write indexes
+ * handed out by {@link ExecutionHistory#markWrites} are absolute: they stay valid
+ * when the oldest writes are dropped, see {@link ExecutionHistory#droppedWrites}.
+ *
+ * @example
+ * const history = new ExecutionHistory(engine, true, [syscalls]);
+ * libc.history = history;
+ * history.checkpoint({ termination: null });
+ * engine.emu_start(pc, pc + length, 0, 1);
+ * history.recordInstructions([pc]);
+ * const checkpoint = history.restore(history.position - 1); // back to before the step
+ */
+class ExecutionHistory {
+  /**
+   * @param {Object} engine - Unicorn Engine instance the program runs in
+   * @param {boolean} is64bit - Architecture flag: true for x86_64, false for x86
+   * @param {Array<Object>} runtimes - Objects with saveState() and restoreState(state), for
+   *   state small enough to copy at every checkpoint; larger state uses recordChange()
+   */
+  constructor(engine, is64bit, runtimes) {
+    this.engine = engine;
+    // [Unicorn register id, bytes] pairs
+    const names = is64bit ? ExecutionHistory.REGISTERS_64 : ExecutionHistory.REGISTERS_32;
+    this.registers = names.map(name => [UnicornModule[`X86_REG_${name}`], is64bit ? 8 : 4])
+      .concat(Array.from({ length: is64bit ? 16 : 8 }, (_, i) => [UnicornModule[`X86_REG_XMM${i}`], 16]))
+      .concat(Array.from({ length: 8 }, (_, i) => [UnicornModule[`X86_REG_FP${i}`], 10]))
+      .concat(ExecutionHistory.X87_CONTROL_REGISTERS.map(name => [UnicornModule[`X86_REG_${name}`], 2]));
+    this.registerBytes = this.registers.reduce((total, [, size]) => total + size, 0);
+    this.runtimes = runtimes;
+    this.enabled = true;
+
+    // JavaScript writes (libc shim, syscalls, the debugger) do not reach the memory
+    // hook; log them on the way in. Restoring uses the unwrapped function.
+    this.writeMemory = engine.mem_write.bind(engine);
+    engine.mem_write = (address, bytes) => {
+      this.recordWrite(address, bytes.length);
+      this.writeMemory(address, bytes);
+    };
+
+    this.clear();
+  }
+
+  clear() {
+    this.checkpoints = []; // { position, writeIndex, changeIndex, entryIndex, registers, runtimes, state }
+    this.writes = [];      // { address, bytes } - the bytes before the write
+    this.changes = [];     // Functions undoing runtime state changes, see recordChange()
+    this.droppedWrites = 0; // Writes discarded by enforceLimits(), the absolute index of writes[0]
+    this.entries = [];     // Arrays of executed instruction addresses
+    this.position = 0;
+    this.written = new Set(); // Ranges already logged since the last checkpoint or mark, see recordWrite()
+  }
+
+  // Absolute index the next logged write will get
+  get writeCount() {
+    return this.droppedWrites + this.writes.length;
+  }
+
+  /**
+   * Starts a new stretch of the journal: ranges written from here on are logged again
+   * even if they already were since the last checkpoint, so memory as it is now can be
+   * rebuilt by undoing every write logged after the returned index.
+   * @returns {number} Absolute index of the next write
+   */
+  markWrites() {
+    this.written.clear();
+    return this.writeCount;
+  }
+
+  get oldestPosition() {
+    return this.checkpoints.length > 0 ? this.checkpoints[0].position : this.position;
+  }
+
+  /**
+   * Snapshots the machine before an emu_start. A checkpoint at the same position
+   * replaces the previous one, as nothing has executed in between.
+   * @param {Object} state - Debugger state to hand back from restore()
+   */
+  checkpoint(state) {
+    if (!this.enabled) {
+      return;
+    }
+    const last = this.checkpoints[this.checkpoints.length - 1];
+    if (last && last.position === this.position) {
+      this.checkpoints.pop();
+    }
+    const registers = new Uint8Array(this.registerBytes);
+    let offset = 0;
+    this.registers.forEach(([id, size]) => {
+      registers.set(this.engine.reg_read(id, size), offset);
+      offset += size;
+    });
+    this.checkpoints.push({
+      position: this.position,
+      writeIndex: this.writes.length,
+      changeIndex: this.changes.length,
+      entryIndex: this.entries.length,
+      registers,
+      runtimes: this.runtimes.map(runtime => runtime.saveState()),
+      state
+    });
+    this.written.clear();
+    this.enforceLimits();
+  }
+
+  /**
+   * Called from the memory hook before the write lands, and from the mem_write wrapper.
+   * Going back always restores a checkpoint (or a mark), so a range written again since
+   * the last one needs no second entry: the earlier entry already holds the bytes to
+   * restore. That keeps loops over the same locals from logging every iteration.
+   */
+  recordWrite(address, size) {
+    if (!this.enabled || this.checkpoints.length === 0) {
+      return; // Nothing before the first checkpoint can be rewound to
+    }
+    const key = address * 64 + size;
+    if (size < 64) {
+      if (this.written.has(key)) {
+        return;
+      }
+      this.written.add(key);
+    }
+    try {
+      this.writes.push({ address, bytes: this.engine.mem_read(address, size) });
+    } catch (e) {
+      // Unmapped: the write faults and changes nothing
+    }
+    if (this.writes.length > ExecutionHistory.MAX_WRITES) {
+      this.enforceLimits(); // A long native run writes a lot between two checkpoints
+    }
+  }
+
+  /**
+   * Logs how to undo a change a JavaScript runtime just made to its own state, for state
+   * too large to snapshot at every checkpoint. Going back calls the functions newest first.
+   * @param {Function} undo - Puts the state back as it was before the change
+   */
+  recordChange(undo) {
+    if (!this.enabled || this.checkpoints.length === 0) {
+      return;
+    }
+    this.changes.push(undo);
+    if (this.changes.length > ExecutionHistory.MAX_WRITES) {
+      this.enforceLimits();
+    }
+  }
+
+  recordInstructions(addresses) {
+    if (!this.enabled || this.checkpoints.length === 0) {
+      return;
+    }
+    this.entries.push(addresses);
+    this.position += addresses.length;
+  }
+
+  // Keeps only the first `count` instructions of the last entry (the rest never completed)
+  trimLastEntry(count) {
+    const last = this.entries[this.entries.length - 1];
+    if (!this.enabled || !last || count >= last.length) {
+      return;
+    }
+    this.position -= last.length - count;
+    if (count === 0) {
+      this.entries.pop();
+    } else {
+      this.entries[this.entries.length - 1] = last.slice(0, count);
+    }
+  }
+
+  /**
+   * Undoes memory writes and restores registers and runtimes to the last checkpoint
+   * at or before `position`. Everything recorded after that checkpoint is discarded.
+   * @returns {Object|null} The checkpoint now in effect, null if the position is not recorded
+   */
+  restore(position) {
+    let index = this.checkpoints.length - 1;
+    while (index >= 0 && this.checkpoints[index].position > position) {
+      index--;
+    }
+    if (index < 0) {
+      return null;
+    }
+    const checkpoint = this.checkpoints[index];
+    for (let i = this.writes.length - 1; i >= checkpoint.writeIndex; i--) {
+      this.writeMemory(this.writes[i].address, this.writes[i].bytes);
+    }
+    for (let i = this.changes.length - 1; i >= checkpoint.changeIndex; i--) {
+      this.changes[i]();
+    }
+    let offset = 0;
+    this.registers.forEach(([id, size]) => {
+      this.engine.reg_write(id, checkpoint.registers.subarray(offset, offset + size));
+      offset += size;
+    });
+    this.runtimes.forEach((runtime, i) => runtime.restoreState(checkpoint.runtimes[i]));
+
+    this.writes.length = checkpoint.writeIndex;
+    this.changes.length = checkpoint.changeIndex;
+    this.entries.length = checkpoint.entryIndex;
+    this.checkpoints.length = index + 1;
+    this.position = checkpoint.position;
+    this.written.clear();
+    return checkpoint;
+  }
+
+  /**
+   * Latest position before `before` whose instruction address satisfies `predicate`,
+   * i.e. where the program counter stood after that many instructions.
+   * @returns {number|null}
+   */
+  findPrevious(before, predicate) {
+    let end = this.position;
+    for (let i = this.entries.length - 1; i >= 0; i--) {
+      const entry = this.entries[i];
+      const start = end - entry.length;
+      for (let j = Math.min(entry.length, before - start) - 1; j >= 0; j--) {
+        if (predicate(entry[j])) {
+          return start + j;
+        }
+      }
+      end = start;
+    }
+    return null;
+  }
+
+  /**
+   * Drops the oldest half of the log once it holds too many writes, changes,
+   * instructions or checkpoints.
+   * A single checkpoint with too much logged after it is dropped with its log; going
+   * back is possible again from the next checkpoint on.
+   */
+  enforceLimits() {
+    const executed = this.position - this.oldestPosition;
+    if (this.writes.length <= ExecutionHistory.MAX_WRITES && this.changes.length <= ExecutionHistory.MAX_WRITES &&
+        executed <= ExecutionHistory.MAX_INSTRUCTIONS && this.checkpoints.length <= ExecutionHistory.MAX_CHECKPOINTS) {
+      return;
+    }
+    const keepFrom = this.checkpoints.findIndex(checkpoint =>
+      checkpoint.writeIndex >= this.writes.length / 2 &&
+      checkpoint.position - this.oldestPosition >= executed / 2);
+    let cut = Math.max(keepFrom < 0 ? this.checkpoints.length - 1 : keepFrom,
+      Math.floor(this.checkpoints.length / 2));
+    if (cut === 0 && this.checkpoints[0].writeIndex === 0) {
+      cut = this.checkpoints.length; // Everything logged is needed to restore the only checkpoint
+    }
+    const first = this.checkpoints[cut] ||
+      { writeIndex: this.writes.length, changeIndex: this.changes.length, entryIndex: this.entries.length };
+    this.writes.splice(0, first.writeIndex);
+    this.droppedWrites += first.writeIndex;
+    this.changes.splice(0, first.changeIndex);
+    this.entries.splice(0, first.entryIndex);
+    this.checkpoints.splice(0, cut);
+    this.checkpoints.forEach(checkpoint => {
+      checkpoint.writeIndex -= first.writeIndex;
+      checkpoint.changeIndex -= first.changeIndex;
+      checkpoint.entryIndex -= first.entryIndex;
+    });
+  }
+}
+
+// Registers saved at every checkpoint; XMM0-15 (XMM0-7 in 32-bit code), the x87 data
+// registers FP0-FP7 and the x87 status, control and tag words are added to both
+ExecutionHistory.REGISTERS_64 = ['RAX', 'RBX', 'RCX', 'RDX', 'RSI', 'RDI', 'RBP', 'RSP',
+  'R8', 'R9', 'R10', 'R11', 'R12', 'R13', 'R14', 'R15', 'RIP', 'EFLAGS'];
+ExecutionHistory.REGISTERS_32 = ['EAX', 'EBX', 'ECX', 'EDX', 'ESI', 'EDI', 'EBP', 'ESP', 'EIP', 'EFLAGS'];
+ExecutionHistory.X87_CONTROL_REGISTERS = ['FPSW', 'FPCW', 'FPTAG'];
+
+// Log limits; past any of them the oldest half of the history is dropped. MAX_WRITES
+// also caps the runtime changes. A checkpoint takes about 1 KB (a 486-byte register
+// buffer in 64-bit code plus its objects), so checkpoints stay around 10 MB.
+ExecutionHistory.MAX_WRITES = 200000;
+ExecutionHistory.MAX_INSTRUCTIONS = 2000000;
+ExecutionHistory.MAX_CHECKPOINTS = 10000;
@@ -0,0 +1,226 @@
+// ============================================================================
+// EXECUTION TRACE
+// Structured record of the single-stepped instructions behind the Execution
+// Log and the timeline slider. Any recorded step can be looked at again from
+// the record alone: nothing is executed or restored to show it.
+// ============================================================================
+
+/**
+ * Per-instruction trace with enough data to reconstruct the machine at every entry.
+ *
+ * @class ExecutionTrace
+ * @description
+ * **Entries** - one per single-stepped instruction (every Step, and every instruction
+ * of a Run when the debugger records all of them):
+ * - `address` (a Number, as getCurrentPC() returns it), `instruction` text, `functionName`
+ *   and call `depth` (calls minus returns)
+ * - `position`: instructions executed before it, as counted by the execution history
+ * - `registers`: `[name, before, after]` for each register the instruction changed
+ * - `memory`: `{ address, before, after }` byte arrays for each write it made
+ *
+ * **Reconstructing a step:** registers are a full snapshot taken at or before the entry
+ * with the later deltas applied. Memory is the live memory with every later write undone.
+ * The writes come from the execution history's journal, which also logs the ones made
+ * without an entry - natively run blocks, the libc shim, the syscall emulator; entries
+ * mark where they start and end in it.
+ *
+ * Indexes and lengths handed out are absolute: they stay valid when the oldest half of
+ * the trace is dropped for {@link ExecutionTrace.MAX_ENTRIES}, or entries are dropped
+ * because the history no longer holds the writes needed to rebuild their memory.
+ *
+ * @example
+ * const trace = new ExecutionTrace(history, () => debuggerInstance.getAllRegisters());
+ * trace.begin(pc, history.position, describe);
+ * engine.emu_start(pc, pc + length, 0, 1);
+ * trace.end();
+ * trace.registersAt(trace.length - 1).RAX; // RAX after that instruction
+ */
+class ExecutionTrace {
+  /**
+   * @param {ExecutionHistory} history - Execution history whose write journal holds the
+   *   bytes each write replaced
+   * @param {Function} readRegisters - Returns the register file as name -> value; values
+   *   are compared with === to find the ones an instruction changed
+   */
+  constructor(history, readRegisters) {
+    this.history = history;
+    this.engine = history.engine;
+    this.readRegisters = readRegisters;
+    this.locations = new Map(); // Address -> { instruction, functionName }; code does not change
+    this.enabled = true;
+    this.clear();
+  }
+
+  clear() {
+    this.entries = [];
+    this.dropped = 0;        // Entries discarded by enforceLimits()
+    this.depth = 0;
+    this.current = null;     // Entry of the instruction being single-stepped
+    this.needsSnapshot = true;
+  }
+
+  get length() {
+    return this.dropped + this.entries.length;
+  }
+
+  get firstIndex() {
+    return this.dropped;
+  }
+
+  entry(index) {
+    return this.entries[index - this.dropped];
+  }
+
+  /**
+   * Starts the entry for an instruction about to be single-stepped.
+   * @param {number} address - Instruction address
+   * @param {number} position - Instructions executed so far
+   * @param {Function} describe - address -> { instruction, functionName }, called once per address
+   */
+  begin(address, position, describe) {
+    if (!this.enabled) {
+      return;
+    }
+    if (!this.locations.has(address)) {
+      this.locations.set(address, describe(address));
+    }
+    const location = this.locations.get(address);
+    this.current = {
+      address,
+      position,
+      instruction: location.instruction,
+      functionName: location.functionName,
+      depth: this.depth,
+      before: this.readRegisters(),
+      writeStart: this.history.markWrites()
+    };
+  }
+
+  // Completes the entry started by begin() once the instruction has executed
+  end() {
+    const entry = this.current;
+    if (!entry) {
+      return;
+    }
+    this.current = null;
+    const after = this.readRegisters();
+    entry.registers = Object.keys(after)
+      .filter(name => entry.before[name] !== after[name])
+      .map(name => [name, entry.before[name], after[name]]);
+    entry.writeEnd = this.history.markWrites();
+    const writes = this.history.writes;
+    entry.memory = writes.slice(Math.max(0, entry.writeStart - this.history.droppedWrites)).map(write => ({
+      address: write.address,
+      before: write.bytes,
+      after: this.engine.mem_read(write.address, write.bytes.length)
+    }));
+    // Full snapshots bound how many deltas registersAt() applies, and restart the
+    // reconstruction after registers changed without an entry
+    if (this.needsSnapshot || this.entries.length % ExecutionTrace.SNAPSHOT_INTERVAL === 0) {
+      entry.snapshot = entry.before;
+      this.needsSnapshot = false;
+    }
+    delete entry.before;
+
+    if (/^call/.test(entry.instruction)) {
+      this.depth++;
+    } else if (/^ret/.test(entry.instruction)) {
+      this.depth--;
+    }
+    this.entries.push(entry);
+    this.enforceLimits();
+  }
+
+  // The single-stepped instruction failed; it leaves no entry
+  abort() {
+    this.current = null;
+    this.needsSnapshot = true;
+  }
+
+  /**
+   * Instructions ran without entries. `depthChange` counts their calls minus returns;
+   * a negative one takes back instructions that were counted but never completed.
+   */
+  recordUntraced(depthChange) {
+    this.depth += depthChange;
+    this.needsSnapshot = true;
+    this.enforceLimits(); // The history may have dropped writes while they ran
+  }
+
+  // Length and call depth to hand back to truncate(), see ExecutionHistory checkpoints
+  state() {
+    return { length: this.length, depth: this.depth };
+  }
+
+  // Forgets everything recorded after `state`; the history must already be back to that point
+  truncate(state) {
+    if (state.length < this.dropped) {
+      this.dropped = state.length;
+    }
+    this.entries.length = Math.min(this.entries.length, state.length - this.dropped);
+    this.depth = state.depth;
+    this.current = null;
+    this.needsSnapshot = true;
+  }
+
+  /**
+   * Register values right after the instruction of entry `index`.
+   * @returns {Object} Register name -> value, as readRegisters() returns them
+   */
+  registersAt(index) {
+    const last = index - this.dropped;
+    let first = last;
+    while (!this.entries[first].snapshot) {
+      first--;
+    }
+    const values = Object.assign({}, this.entries[first].snapshot);
+    for (let i = first; i <= last; i++) {
+      this.entries[i].registers.forEach(([name, , after]) => { values[name] = after; });
+    }
+    return values;
+  }
+
+  /**
+   * Memory as it was right after the instruction of entry `index`: the live bytes
+   * with every write made since undone, newest first.
+   * @throws {Error} If the range is not mapped
+   */
+  readMemory(index, address, size) {
+    const bytes = Uint8Array.from(this.engine.mem_read(address, size));
+    const writes = this.history.writes;
+    for (let i = writes.length - 1; i >= Math.max(0, this.entry(index).writeEnd - this.history.droppedWrites); i--) {
+      const write = writes[i];
+      const from = Math.max(address, write.address);
+      const to = Math.min(address + size, write.address + write.bytes.length);
+      for (let at = from; at < to; at++) {
+        bytes[at - address] = write.bytes[at - write.address];
+      }
+    }
+    return bytes;
+  }
+
+  /**
+   * Drops the oldest half of the entries once the trace is too long, and every entry
+   * whose memory the history can no longer rebuild because it dropped the writes made
+   * since. The history bounds the journal itself, see ExecutionHistory.MAX_WRITES.
+   */
+  enforceLimits() {
+    let cut = this.entries.length > ExecutionTrace.MAX_ENTRIES ? Math.floor(this.entries.length / 2) : 0;
+    while (cut < this.entries.length && this.entries[cut].writeEnd < this.history.droppedWrites) {
+      cut++;
+    }
+    if (cut === 0) {
+      return;
+    }
+    const first = this.entries[cut];
+    if (first && !first.snapshot) {
+      first.snapshot = this.registersAt(this.dropped + cut - 1); // Nothing ran untraced in between
+    }
+    this.entries.splice(0, cut);
+    this.dropped += cut;
+  }
+}
+
+// Entries between full register snapshots, and the trace length past which the oldest half is dropped
+ExecutionTrace.SNAPSHOT_INTERVAL = 64;
+ExecutionTrace.MAX_ENTRIES = 100000;
@@ -0,0 +1,677 @@
+// ============================================================================
+// BUILT-IN LIBC SHIM
+// High-level emulation of the C library functions teaching programs call most
+// (printf, puts, strlen, malloc, ...). Calls land on tiny `ret` stubs and the
+// real work is done here in JavaScript before the stub returns.
+// ============================================================================
+
+/**
+ * JavaScript implementation of a small C standard library subset.
+ * Every supported function owns an 8-byte stub slot (`ret` followed by `int3`
+ * padding). When the CPU reaches a slot, the HOOK_CODE callback calls
+ * {@link LibcShim#handleCall}, which reads the arguments, runs the matching
+ * method and places the result in RAX/EAX. The stub's `ret` then returns to
+ * the caller as if a real library function had run.
+ *
+ * @class LibcShim
+ * @description
+ * **Binding Modes:**
+ * - Object files: undefined symbols are relocated to a stub page the debugger maps itself
+ * - Linked executables: TinyCC links weak stubs into a `.libcshim` section, so user
+ *   definitions with the same name win and the remaining slots are found by position
+ *
+ * **Calling Conventions:**
+ * - x86_64 System V: RDI, RSI, RDX, RCX, R8, R9 then the stack; doubles in XMM0-7
+ * - i386 cdecl: every argument on the stack above the return address
+ *
+ * **Runtime Services:**
+ * - Console output goes through the {@link LinuxSyscallEmulator} program output
+ * - malloc/free carve blocks out of the brk() heap; with a `history` set, every change
+ *   to the block lists is logged there as an undo function so stepping back can undo it
+ * - exit() ends the program exactly like the exit syscall
+ *
+ * @example
+ * const libc = new LibcShim(engine, true, syscalls);
+ * libc.mapStubs(0x10230000);          // Object file: provide the stub page
+ * const printfAddr = libc.resolve('printf');
+ */
+class LibcShim {
+  /**
+   * @param {Object} engine - Unicorn Engine instance the program runs in
+   * @param {boolean} is64bit - Architecture flag: true for x86_64, false for x86
+   * @param {LinuxSyscallEmulator} syscalls - Provides program output, stdin, brk and exit
+   */
+  constructor(engine, is64bit, syscalls) {
+    this.engine = engine;
+    this.is64bit = is64bit;
+    this.syscalls = syscalls;
+    this.stubBase = null;
+    this.history = null; // ExecutionHistory that gets the heap changes, set by the debugger
+    this.decoder = new TextDecoder('utf-8');
+    this.encoder = new TextEncoder();
+    this.reset();
+  }
+
+  // Forget all heap blocks; the syscall emulator rewinds the program break itself
+  reset() {
+    this.allocations = new Map(); // address -> block size
+    this.freeBlocks = [];         // [{ address, size }] available for reuse
+  }
+
+  // Heap bookkeeping changes go to the execution history as they happen (the block contents are in emulator memory)
+  recordChange(undo) {
+    if (this.history) {
+      this.history.recordChange(undo);
+    }
+  }
+
+  // Map and fill a private stub page (object files have nowhere else to put them)
+  mapStubs(baseAddr) {
+    const bytes = new Uint8Array(LibcShim.FUNCTIONS.length * LibcShim.STUB_SIZE);
+    for (let i = 0; i < LibcShim.FUNCTIONS.length; i++) {
+      bytes.set(LibcShim.STUB_BYTES, i * LibcShim.STUB_SIZE);
+    }
+    this.engine.mem_map(baseAddr, Math.ceil(bytes.length / 0x1000) * 0x1000,
+      UnicornModule.PROT_READ | UnicornModule.PROT_EXEC);
+    this.engine.mem_write(baseAddr, bytes);
+    this.stubBase = baseAddr;
+  }
+
+  // Use stubs that were linked into the executable's .libcshim section
+  bindStubSection(section) {
+    const expectedSize = LibcShim.FUNCTIONS.length * LibcShim.STUB_SIZE;
+    if (section.size !== expectedSize) {
+      console.log(`libc: .libcshim is ${section.size} bytes, expected ${expectedSize} - not binding stubs`);
+      return false;
+    }
+    this.stubBase = section.addr;
+    return true;
+  }
+
+  // Section-less executables: look for the stub table by its byte pattern in a code segment
+  locateStubs(bytes, baseAddr) {
+    const size = LibcShim.STUB_SIZE;
+    const tableSize = LibcShim.FUNCTIONS.length * size;
+    for (let start = 0; start + tableSize <= bytes.length; start++) {
+      let slot = 0;
+      while (slot < LibcShim.FUNCTIONS.length &&
+             LibcShim.STUB_BYTES.every((b, i) => bytes[start + slot * size + i] === b)) {
+        slot++;
+      }
+      if (slot === LibcShim.FUNCTIONS.length) {
+        this.stubBase = baseAddr + start;
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Address of the stub for `name`, or null when the shim does not provide it
+  resolve(name) {
+    const index = LibcShim.FUNCTIONS.indexOf(name);
+    if (index < 0 || this.stubBase === null) {
+      return null;
+    }
+    return this.stubBase + index * LibcShim.STUB_SIZE;
+  }
+
+  isStub(address) {
+    if (this.stubBase === null) {
+      return false;
+    }
+    const offset = address - this.stubBase;
+    return offset >= 0 &&
+           offset < LibcShim.FUNCTIONS.length * LibcShim.STUB_SIZE &&
+           offset % LibcShim.STUB_SIZE === 0;
+  }
+
+  // Called from HOOK_CODE when execution reaches a stub, before its `ret` runs
+  handleCall(address) {
+    const name = LibcShim.FUNCTIONS[(address - this.stubBase) / LibcShim.STUB_SIZE];
+    let result;
+    try {
+      result = this[name](this.createArgReader());
+    } catch (e) {
+      this.syscalls.logToEmuOutput(`libc: ${name}() failed: ${e.message || e}`);
+      result = -1;
+    }
+
+    if (result !== undefined) {
+      if (this.is64bit) {
+        this.engine.reg_write_i64(UnicornModule.X86_REG_RAX, Number(result));
+      } else {
+        this.engine.reg_write_i32(UnicornModule.X86_REG_EAX, Number(result) | 0);
+      }
+    }
+  }
+
+  /**
+   * Sequential reader over the caller's arguments. Integer and floating-point
+   * arguments are consumed independently from their register classes, and both
+   * fall through to the same stack cursor, which matches how variadic calls are laid out.
+   */
+  createArgReader() {
+    const wordSize = this.is64bit ? 8 : 4;
+    const sp = this.readRegister(this.is64bit ? 'RSP' : 'ESP');
+    let stackAddr = sp + wordSize; // Skip the return address
+    let gpIndex = 0;
+    let fpIndex = 0;
+
+    const readStack = (size) => {
+      const value = this.readUnsigned(stackAddr, size);
+      stackAddr += Math.max(size, wordSize);
+      return value;
+    };
+
+    return {
+      // Raw BigInt of `bits` width; callers decide on signedness
+      nextInt: (bits = 32) => {
+        if (!this.is64bit) {
+          return readStack(bits > 32 ? 8 : 4);
+        }
+        if (gpIndex < LibcShim.ARG_REGISTERS_64.length) {
+          return this.readRegister64(LibcShim.ARG_REGISTERS_64[gpIndex++]);
+        }
+        return readStack(8);
+      },
+      nextPointer() {
+        return Number(BigInt.asUintN(wordSize * 8, this.nextInt(wordSize * 8)));
+      },
+      nextDouble: () => {
+        let bytes;
+        if (this.is64bit && fpIndex < 8) {
+          bytes = this.engine.reg_read(UnicornModule[`X86_REG_XMM${fpIndex++}`], 16).slice(0, 8);
+        } else {
+          bytes = this.engine.mem_read(stackAddr, 8);
+          stackAddr += 8;
+        }
+        return new DataView(bytes.buffer, bytes.byteOffset, 8).getFloat64(0, true);
+      }
+    };
+  }
+
+  // ---------------------------------------------------------------- stdio.h
+
+  printf(args) {
+    const text = this.formatString(this.readCString(args.nextPointer()), args);
+    this.syscalls.appendOutput(text);
+    return this.encoder.encode(text).length;
+  }
+
+  sprintf(args) {
+    const dest = args.nextPointer();
+    const bytes = this.encoder.encode(this.formatString(this.readCString(args.nextPointer()), args));
+    this.writeCString(dest, bytes);
+    return bytes.length;
+  }
+
+  snprintf(args) {
+    const dest = args.nextPointer();
+    const size = args.nextPointer();
+    const bytes = this.encoder.encode(this.formatString(this.readCString(args.nextPointer()), args));
+    if (size > 0) {
+      this.writeCString(dest, bytes.subarray(0, size - 1));
+    }
+    return bytes.length; // Length the full output would have had, as C99 requires
+  }
+
+  puts(args) {
+    this.syscalls.appendOutput(this.readCString(args.nextPointer()) + '\n');
+    return 1;
+  }
+
+  putchar(args) {
+    const c = Number(args.nextInt()) & 0xff;
+    this.syscalls.appendOutput(this.decoder.decode(new Uint8Array([c]), { stream: true }));
+    return c;
+  }
+
+  getchar() {
+    const bytes = this.syscalls.takeStdin(1);
+    return bytes.length ? bytes[0] : LibcShim.EOF;
+  }
+
+  // --------------------------------------------------------------- string.h
+
+  strlen(args) {
+    return this.readCStringBytes(args.nextPointer()).length;
+  }
+
+  strcpy(args) {
+    const dest = args.nextPointer();
+    this.writeCString(dest, this.readCStringBytes(args.nextPointer()));
+    return dest;
+  }
+
+  strncpy(args) {
+    const dest = args.nextPointer();
+    const src = this.readCStringBytes(args.nextPointer());
+    const count = args.nextPointer();
+    const bytes = new Uint8Array(count); // Zero padding past the end of src
+    bytes.set(src.subarray(0, count));
+    this.engine.mem_write(dest, bytes);
+    return dest;
+  }
+
+  strcat(args) {
+    const dest = args.nextPointer();
+    const end = dest + this.readCStringBytes(dest).length;
+    this.writeCString(end, this.readCStringBytes(args.nextPointer()));
+    return dest;
+  }
+
+  strcmp(args) {
+    const a = this.readCStringBytes(args.nextPointer());
+    const b = this.readCStringBytes(args.nextPointer());
+    return this.compareBytes(a, b, Math.max(a.length, b.length) + 1);
+  }
+
+  strncmp(args) {
+    const a = this.readCStringBytes(args.nextPointer());
+    const b = this.readCStringBytes(args.nextPointer());
+    return this.compareBytes(a, b, args.nextPointer());
+  }
+
+  memcpy(args) {
+    const dest = args.nextPointer();
+    const src = args.nextPointer();
+    const count = args.nextPointer();
+    if (count > 0) {
+      this.engine.mem_write(dest, this.engine.mem_read(src, count));
+    }
+    return dest;
+  }
+
+  memmove(args) {
+    return this.memcpy(args); // mem_read copies first, so overlap is harmless
+  }
+
+  memset(args) {
+    const dest = args.nextPointer();
+    const value = Number(args.nextInt()) & 0xff;
+    const count = args.nextPointer();
+    if (count > 0) {
+      this.engine.mem_write(dest, new Uint8Array(count).fill(value));
+    }
+    return dest;
+  }
+
+  memcmp(args) {
+    const a = args.nextPointer();
+    const b = args.nextPointer();
+    const count = args.nextPointer();
+    if (count === 0) {
+      return 0;
+    }
+    return this.compareBytes(this.engine.mem_read(a, count), this.engine.mem_read(b, count), count);
+  }
+
+  // --------------------------------------------------------------- stdlib.h
+
+  malloc(args) {
+    return this.allocate(args.nextPointer());
+  }
+
+  calloc(args) {
+    const size = args.nextPointer() * args.nextPointer();
+    const address = this.allocate(size);
+    if (address && size > 0) {
+      this.engine.mem_write(address, new Uint8Array(size)); // Reused blocks may hold old data
+    }
+    return address;
+  }
+
+  realloc(args) {
+    const oldAddress = args.nextPointer();
+    const size = args.nextPointer();
+    const newAddress = this.allocate(size);
+    if (oldAddress && newAddress) {
+      const oldSize = this.allocations.get(oldAddress) || 0;
+      const count = Math.min(oldSize, size);
+      if (count > 0) {
+        this.engine.mem_write(newAddress, this.engine.mem_read(oldAddress, count));
+      }
+      this.release(oldAddress);
+    }
+    return newAddress;
+  }
+
+  free(args) {
+    this.release(args.nextPointer());
+  }
+
+  abs(args) {
+    return Math.abs(Number(BigInt.asIntN(32, args.nextInt())));
+  }
+
+  atoi(args) {
+    const value = parseInt(this.readCString(args.nextPointer()).trim(), 10);
+    return isNaN(value) ? 0 : value | 0;
+  }
+
+  exit(args) {
+    this.syscalls.sysExit(Number(BigInt.asIntN(32, args.nextInt())));
+  }
+
+  // ------------------------------------------------------------------- heap
+
+  allocate(requested) {
+    const size = Math.max(16, Math.ceil(requested / 16) * 16);
+
+    const reuseIndex = this.freeBlocks.findIndex(block => block.size >= size);
+    if (reuseIndex >= 0) {
+      const block = this.freeBlocks.splice(reuseIndex, 1)[0];
+      this.allocations.set(block.address, block.size);
+      this.recordChange(() => {
+        this.allocations.delete(block.address);
+        this.freeBlocks.splice(reuseIndex, 0, block);
+      });
+      return block.address;
+    }
+
+    const address = Math.ceil(this.syscalls.programBreak / 16) * 16;
+    if (this.syscalls.sysBrk(address + size) !== address + size) {
+      return 0; // Out of memory: heap would run into the stack
+    }
+    this.allocations.set(address, size);
+    this.recordChange(() => this.allocations.delete(address)); // The program break is in the syscall emulator's checkpoint state
+    return address;
+  }
+
+  release(address) {
+    if (address === 0) {
+      return;
+    }
+    const size = this.allocations.get(address);
+    if (size === undefined) {
+      this.syscalls.logToEmuOutput(`free(): invalid pointer 0x${address.toString(16)}`);
+      return;
+    }
+    this.allocations.delete(address);
+    this.freeBlocks.push({ address, size });
+    this.recordChange(() => {
+      this.freeBlocks.pop();
+      this.allocations.set(address, size);
+    });
+  }
+
+  // ----------------------------------------------------------------- format
+
+  /**
+   * printf-style formatting. Supports the flags `-+ 0#`, width and precision
+   * (including `*`), the length modifiers hh/h/l/ll/z/j/t and the conversions
+   * d i u o x X c s p f F e E g G %.
+   */
+  formatString(format, args) {
+    const longBits = this.is64bit ? 64 : 32;
+    return format.replace(/%([-+ 0#]*)(\*|\d+)?(?:\.(\*|\d*))?(hh|h|ll|l|z|j|t|L)?([diuoxXcspfFeEgG%])/g,
+      (match, flags, width, precision, length, conversion) => {
+        if (conversion === '%') {
+          return '%';
+        }
+        if (width === '*') {
+          width = Number(BigInt.asIntN(32, args.nextInt()));
+          if (width < 0) {
+            flags += '-';
+            width = -width;
+          }
+        }
+        if (precision === '*') {
+          precision = Number(BigInt.asIntN(32, args.nextInt()));
+          if (precision < 0) {
+            precision = undefined;
+          }
+        }
+        width = width === undefined ? 0 : Number(width);
+        precision = precision === undefined ? undefined : Number(precision || 0);
+
+        const bits = { hh: 8, h: 16, l: longBits, ll: 64, z: longBits, j: 64, t: longBits }[length] || 32;
+        let body;
+        let prefix = '';
+
+        switch (conversion) {
+          case 'd':
+          case 'i': {
+            const value = BigInt.asIntN(bits, args.nextInt(bits));
+            body = (value < 0n ? -value : value).toString();
+            prefix = value < 0n ? '-' : flags.includes('+') ? '+' : flags.includes(' ') ? ' ' : '';
+            break;
+          }
+          case 'u':
+          case 'o':
+          case 'x':
+          case 'X': {
+            const value = BigInt.asUintN(bits, args.nextInt(bits));
+            const radix = { u: 10, o: 8, x: 16, X: 16 }[conversion];
+            body = value.toString(radix);
+            if (conversion === 'X') {
+              body = body.toUpperCase();
+            }
+            if (flags.includes('#') && value !== 0n) {
+              prefix = { o: '0', x: '0x', X: '0X' }[conversion] || '';
+            }
+            break;
+          }
+          case 'c':
+            return this.pad(this.decoder.decode(new Uint8Array([Number(args.nextInt()) & 0xff])), width, flags);
+          case 's': {
+            const text = this.readCString(args.nextPointer());
+            return this.pad(precision === undefined ? text : text.slice(0, precision), width, flags);
+          }
+          case 'p':
+            return this.pad(`0x${args.nextPointer().toString(16)}`, width, flags);
+          default:
+            return this.pad(this.formatDouble(args.nextDouble(), conversion, flags, precision), width, flags, true);
+        }
+
+        // Integer precision is a minimum digit count and disables the 0 flag
+        if (precision !== undefined) {
+          body = precision === 0 && body === '0' ? '' : body.padStart(precision, '0');
+          flags = flags.replace(/0/g, '');
+        }
+        return this.pad(prefix + body, width, flags, true, prefix.length);
+      });
+  }
+
+  formatDouble(value, conversion, flags, precision = 6) {
+    const sign = value < 0 || Object.is(value, -0) ? '-' : flags.includes('+') ? '+' : flags.includes(' ') ? ' ' : '';
+    const magnitude = Math.abs(value);
+    const upper = conversion === conversion.toUpperCase();
+    let body;
+
+    if (!isFinite(magnitude)) {
+      body = isNaN(magnitude) ? 'nan' : 'inf';
+    } else if (conversion === 'f' || conversion === 'F') {
+      body = magnitude.toFixed(precision);
+    } else if (conversion === 'e' || conversion === 'E') {
+      body = this.formatExponent(magnitude, precision);
+    } else {
+      // %g picks %e or %f by the exponent and drops trailing zeros unless '#' is given
+      const significant = precision === 0 ? 1 : precision;
+      const exponent = magnitude === 0 ? 0 : Math.floor(Math.log10(Number(magnitude.toExponential(significant - 1))));
+      body = exponent < -4 || exponent >= significant ?
+        this.formatExponent(magnitude, significant - 1) :
+        magnitude.toFixed(significant - 1 - exponent);
+      if (!flags.includes('#') && body.includes('.')) {
+        body = body.replace(/\.?0+(e|$)/, '$1');
+      }
+    }
+    return sign + (upper ? body.toUpperCase() : body);
+  }
+
+  // toExponential with C's minimum of two exponent digits (1.5e+00, not 1.5e+0)
+  formatExponent(value, precision) {
+    return value.toExponential(precision).replace(/e([+-])(\d)$/, 'e$10$2');
+  }
+
+  // Apply field width; zero padding goes between the sign/prefix and the digits
+  pad(text, width, flags, numeric = false, prefixLength = null) {
+    if (text.length >= width) {
+      return text;
+    }
+    if (flags.includes('-')) {
+      return text.padEnd(width, ' ');
+    }
+    if (numeric && flags.includes('0') && !/[a-z]{3}$/i.test(text)) {
+      const split = prefixLength !== null ? prefixLength : (/^[-+ ]/.test(text) ? 1 : 0);
+      return text.slice(0, split) + text.slice(split).padStart(width - split, '0');
+    }
+    return text.padStart(width, ' ');
+  }
+
+  // ----------------------------------------------------------------- memory
+
+  readRegister(name) {
+    return this.is64bit ?
+      Number(this.readRegister64(name)) :
+      this.engine.reg_read_i32(UnicornModule[`X86_REG_${name}`]) >>> 0;
+  }
+
+  // reg_read_i64 only returns the low 32 bits, so read the raw register bytes instead
+  readRegister64(name) {
+    const bytes = this.engine.reg_read(UnicornModule[`X86_REG_${name}`], 8);
+    return new DataView(bytes.buffer, bytes.byteOffset, 8).getBigUint64(0, true);
+  }
+
+  readUnsigned(address, size) {
+    const bytes = this.engine.mem_read(address, size);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, size);
+    return size === 8 ? view.getBigUint64(0, true) : BigInt(view.getUint32(0, true));
+  }
+
+  // Read a NUL-terminated string one page at a time so we never read past mapped memory
+  readCStringBytes(address) {
+    if (address === 0) {
+      throw new Error('NULL string pointer');
+    }
+    const chunks = [];
+    let total = 0;
+    let cursor = address;
+    while (total < LibcShim.MAX_STRING_LENGTH) {
+      const chunkSize = 0x1000 - (cursor % 0x1000);
+      const chunk = this.engine.mem_read(cursor, chunkSize);
+      const end = chunk.indexOf(0);
+      if (end >= 0) {
+        chunks.push(chunk.subarray(0, end));
+        total += end;
+        break;
+      }
+      chunks.push(chunk);
+      total += chunkSize;
+      cursor += chunkSize;
+    }
+
+    const bytes = new Uint8Array(total);
+    let offset = 0;
+    for (const chunk of chunks) {
+      bytes.set(chunk, offset);
+      offset += chunk.length;
+    }
+    return bytes;
+  }
+
+  readCString(address) {
+    return this.decoder.decode(this.readCStringBytes(address));
+  }
+
+  writeCString(address, bytes) {
+    const terminated = new Uint8Array(bytes.length + 1);
+    terminated.set(bytes);
+    this.engine.mem_write(address, terminated);
+  }
+
+  // C comparison semantics: sign of the first differing unsigned byte within `count`
+  compareBytes(a, b, count) {
+    for (let i = 0; i < count; i++) {
+      const x = i < a.length ? a[i] : 0;
+      const y = i < b.length ? b[i] : 0;
+      if (x !== y) {
+        return x - y;
+      }
+      if (x === 0) {
+        return 0;
+      }
+    }
+    return 0;
+  }
+
+  /**
+   * Assembly for the weak stubs TinyCC links into executables. Slot order
+   * must match {@link LibcShim.FUNCTIONS}, since stripped binaries are bound
+   * by position inside the section.
+   */
+  static linkStubSource() {
+    const stubBytes = Array.from(LibcShim.STUB_BYTES, b => `0x${b.toString(16)}`).join(',');
+    const lines = ['    .section .libcshim,"ax",@progbits'];
+    for (const name of LibcShim.FUNCTIONS) {
+      lines.push(`    .weak ${name}`, `    .type ${name}, @function`, `${name}:`, `    .byte ${stubBytes}`);
+    }
+    return lines.join('\n') + '\n';
+  }
+}
+
+// Functions the shim implements, in stub slot order - append only
+LibcShim.FUNCTIONS = [
+  'printf', 'sprintf', 'snprintf', 'puts', 'putchar', 'getchar',
+  'strlen', 'strcpy', 'strncpy', 'strcat', 'strcmp', 'strncmp',
+  'memcpy', 'memmove', 'memset', 'memcmp',
+  'malloc', 'calloc', 'realloc', 'free', 'abs', 'atoi', 'exit'
+];
+
+// Each stub is `ret` padded with `int3` so a stray jump into the middle traps
+LibcShim.STUB_SIZE = 8;
+LibcShim.STUB_BYTES = new Uint8Array([0xC3, 0xCC, 0xCC, 0xCC, 0xCC, 0xCC, 0xCC, 0xCC]);
+
+LibcShim.ARG_REGISTERS_64 = ['RDI', 'RSI', 'RDX', 'RCX', 'R8', 'R9'];
+LibcShim.MAX_STRING_LENGTH = 0x10000;
+LibcShim.EOF = -1;
+
+// TinyCC's own stddef.h is not on the wasm build's include path, so the headers define what they need
+const LIBC_SHIM_TYPES = `#ifndef _LIBC_SHIM_TYPES
+#define _LIBC_SHIM_TYPES
+typedef __SIZE_TYPE__ size_t;
+#define NULL ((void *)0)
+#endif
+`;
+
+// Minimal headers written into the TinyCC filesystem so `#include <stdio.h>` works
+LibcShim.HEADERS = {
+  'stdio.h': `#ifndef _STDIO_H
+#define _STDIO_H
+${LIBC_SHIM_TYPES}#define EOF (-1)
+int printf(const char *format, ...);
+int sprintf(char *str, const char *format, ...);
+int snprintf(char *str, size_t size, const char *format, ...);
+int puts(const char *s);
+int putchar(int c);
+int getchar(void);
+#endif
+`,
+  'stdlib.h': `#ifndef _STDLIB_H
+#define _STDLIB_H
+${LIBC_SHIM_TYPES}#define EXIT_SUCCESS 0
+#define EXIT_FAILURE 1
+void *malloc(size_t size);
+void *calloc(size_t count, size_t size);
+void *realloc(void *ptr, size_t size);
+void free(void *ptr);
+int abs(int n);
+int atoi(const char *s);
+void exit(int status);
+#endif
+`,
+  'string.h': `#ifndef _STRING_H
+#define _STRING_H
+${LIBC_SHIM_TYPES}size_t strlen(const char *s);
+char *strcpy(char *dest, const char *src);
+char *strncpy(char *dest, const char *src, size_t n);
+char *strcat(char *dest, const char *src);
+int strcmp(const char *a, const char *b);
+int strncmp(const char *a, const char *b, size_t n);
+void *memcpy(void *dest, const void *src, size_t n);
+void *memmove(void *dest, const void *src, size_t n);
+void *memset(void *dest, int c, size_t n);
+int memcmp(const void *a, const void *b, size_t n);
+#endif
+`
+};
@@ -0,0 +1,262 @@
+// ============================================================================
+// LINUX SYSCALL EMULATION LAYER
+// Emulates the small set of Linux system calls that teaching programs need to
+// talk to the outside world (console I/O, heap growth and process exit).
+// ============================================================================
+
+/**
+ * Linux system call emulator for programs running inside the Unicorn Engine.
+ * Services `syscall` (x86_64 ABI) and `int 0x80` (i386 ABI) requests in JavaScript
+ * and routes console output to the program-output panel.
+ *
+ * @class LinuxSyscallEmulator
+ * @description
+ * **Supported System Calls:**
+ * - read(fd, buf, count)   - fd 0 reads from the standard input field
+ * - write(fd, buf, count)  - fd 1 and 2 are appended to the program output panel
+ * - brk(addr)              - grows the heap region above the loaded image
+ * - exit(status) / exit_group(status) - stops emulation and records the status
+ *
+ * **Calling Conventions:**
+ * - x86_64 `syscall`: number in RAX, arguments in RDI, RSI, RDX, result in RAX
+ * - i386 `int 0x80`: number in EAX, arguments in EBX, ECX, EDX, result in EAX
+ *
+ * Unknown system calls return -ENOSYS and are reported in the execution log,
+ * so a program never silently continues with a garbage return value.
+ *
+ * @example
+ * const syscalls = new LinuxSyscallEmulator(engine, true, { heapBase: 0x10100000, heapLimit: 0x10200000 });
+ * syscalls.handleSyscall(); // Called from the HOOK_CODE callback on a syscall instruction
+ */
+class LinuxSyscallEmulator {
+  /**
+   * @param {Object} engine - Unicorn Engine instance the program runs in
+   * @param {boolean} is64bit - Architecture flag: true for x86_64, false for x86
+   * @param {Object} [options={}] - Process layout information
+   * @param {number} [options.heapBase] - First address available to brk()
+   * @param {number} [options.heapLimit] - Address brk() may not grow past (usually the stack)
+   */
+  constructor(engine, is64bit, options = {}) {
+    this.engine = engine;
+    this.is64bit = is64bit;
+    this.heapBase = options.heapBase || 0;
+    this.heapLimit = options.heapLimit || 0;
+    this.heapMappedEnd = this.heapBase; // Pages below this address are already mapped
+    this.decoder = new TextDecoder('utf-8');
+    this.reset();
+  }
+
+  // Restore per-run state (output, stdin cursor, program break, exit status)
+  reset() {
+    this.output = '';
+    this.exitStatus = null;
+    this.programBreak = this.heapBase;
+    this.stdinBuffer = this.readStdinField();
+    this.stdinOffset = 0;
+
+    if (!window.isPerformanceModeActive) {
+      const outputDiv = document.getElementById('programOutput');
+      if (outputDiv) {
+        outputDiv.textContent = '';
+      }
+    }
+  }
+
+  // Per-run state as the debugger's execution history saves it at each checkpoint.
+  // Mapped heap pages stay mapped when going back; only the program break moves.
+  saveState() {
+    return {
+      output: this.output,
+      exitStatus: this.exitStatus,
+      programBreak: this.programBreak,
+      stdinOffset: this.stdinOffset
+    };
+  }
+
+  restoreState(state) {
+    Object.assign(this, state);
+    if (!window.isPerformanceModeActive) {
+      const outputDiv = document.getElementById('programOutput');
+      if (outputDiv) {
+        outputDiv.textContent = this.output;
+      }
+    }
+  }
+
+  readStdinField() {
+    const stdinInput = document.getElementById('programStdin');
+    return new TextEncoder().encode(stdinInput ? stdinInput.value : '');
+  }
+
+  hasExited() {
+    return this.exitStatus !== null;
+  }
+
+  // Entry point for the x86_64 `syscall` instruction
+  handleSyscall() {
+    const number = Number(this.readRegister64('RAX'));
+    const args = [this.readRegister64('RDI'), this.readRegister64('RSI'), this.readRegister64('RDX')];
+    const result = this.dispatch(LinuxSyscallEmulator.SYSCALLS_64[number], number, args);
+    if (!this.hasExited()) { // exit never returns, so there is no result to hand back
+      this.engine.reg_write_i64(UnicornModule.X86_REG_RAX, result);
+    }
+    return result;
+  }
+
+  // Entry point for `int 0x80`; any other interrupt vector is left to the caller
+  handleInterrupt(intno) {
+    if (intno !== 0x80) {
+      return false;
+    }
+
+    const reg = name => this.engine.reg_read_i32(UnicornModule[`X86_REG_${name}`]);
+    const number = reg('EAX');
+    const args = [reg('EBX'), reg('ECX'), reg('EDX')].map(value => BigInt(value >>> 0));
+    const result = this.dispatch(LinuxSyscallEmulator.SYSCALLS_32[number], number, args);
+    if (this.hasExited()) {
+      return true;
+    }
+    if (this.is64bit) {
+      this.engine.reg_write_i64(UnicornModule.X86_REG_RAX, result);
+    } else {
+      this.engine.reg_write_i32(UnicornModule.X86_REG_EAX, result);
+    }
+    return true;
+  }
+
+  // reg_read_i64 only returns the low 32 bits sign-extended, so read the raw register bytes instead
+  readRegister64(name) {
+    const bytes = this.engine.reg_read(UnicornModule[`X86_REG_${name}`], 8);
+    return new DataView(bytes.buffer, bytes.byteOffset, 8).getBigUint64(0, true);
+  }
+
+  /**
+   * @param {Array<bigint>} args - Raw unsigned argument registers. File descriptors and
+   *   exit statuses are C ints, taken from the low 32 bits; addresses and sizes use them whole.
+   */
+  dispatch(name, number, args) {
+    const int = value => Number(BigInt.asIntN(32, value));
+    switch (name) {
+      case 'read':
+        return this.sysRead(int(args[0]), Number(args[1]), Number(args[2]));
+      case 'write':
+        return this.sysWrite(int(args[0]), Number(args[1]), Number(args[2]));
+      case 'brk':
+        return this.sysBrk(Number(args[0]));
+      case 'exit':
+      case 'exit_group':
+        return this.sysExit(int(args[0]));
+      default:
+        this.logToEmuOutput(`Unsupported syscall ${number} - returning -ENOSYS`);
+        return -LinuxSyscallEmulator.ENOSYS;
+    }
+  }
+
+  sysRead(fd, bufAddr, count) {
+    if (fd !== 0) {
+      return -LinuxSyscallEmulator.EBADF;
+    }
+
+    const available = this.stdinBuffer.length - this.stdinOffset;
+    const length = Math.min(count, available);
+    if (length <= 0) {
+      return 0; // EOF
+    }
+
+    try {
+      this.engine.mem_write(bufAddr, this.stdinBuffer.subarray(this.stdinOffset, this.stdinOffset + length));
+    } catch (e) {
+      return -LinuxSyscallEmulator.EFAULT;
+    }
+    this.stdinOffset += length;
+    return length;
+  }
+
+  // Consume up to `count` bytes of standard input (shared with the libc shim's getchar)
+  takeStdin(count) {
+    const bytes = this.stdinBuffer.subarray(this.stdinOffset, this.stdinOffset + count);
+    this.stdinOffset += bytes.length;
+    return bytes;
+  }
+
+  sysWrite(fd, bufAddr, count) {
+    if (fd !== 1 && fd !== 2) {
+      return -LinuxSyscallEmulator.EBADF;
+    }
+    if (count === 0) {
+      return 0;
+    }
+
+    let bytes;
+    try {
+      bytes = this.engine.mem_read(bufAddr, count);
+    } catch (e) {
+      return -LinuxSyscallEmulator.EFAULT;
+    }
+
+    this.appendOutput(this.decoder.decode(bytes, { stream: true }));
+    return count;
+  }
+
+  sysBrk(requested) {
+    // brk(0) and out-of-range requests report the current break, like the kernel does
+    if (requested < this.heapBase || (this.heapLimit && requested > this.heapLimit)) {
+      return this.programBreak;
+    }
+
+    const neededEnd = Math.ceil(requested / 0x1000) * 0x1000;
+    if (neededEnd > this.heapMappedEnd) {
+      try {
+        this.engine.mem_map(this.heapMappedEnd, neededEnd - this.heapMappedEnd,
+          UnicornModule.PROT_READ | UnicornModule.PROT_WRITE);
+        this.heapMappedEnd = neededEnd;
+      } catch (e) {
+        console.log(`brk: failed to map heap up to 0x${neededEnd.toString(16)}: ${e.message || e}`);
+        return this.programBreak;
+      }
+    }
+
+    this.programBreak = requested;
+    return this.programBreak;
+  }
+
+  sysExit(status) {
+    // Keep the full int so tests can compare main()'s value; the shell would only see status & 0xff
+    this.exitStatus = status | 0;
+    try {
+      this.engine.emu_stop();
+    } catch (e) {
+      // Emulation may not be running (e.g. exit called while single-stepping)
+    }
+    return 0;
+  }
+
+  appendOutput(text) {
+    this.output += text;
+    if (!window.isPerformanceModeActive) {
+      const outputDiv = document.getElementById('programOutput');
+      if (outputDiv) {
+        outputDiv.textContent += text;
+        outputDiv.scrollTop = outputDiv.scrollHeight;
+      }
+    }
+  }
+
+  logToEmuOutput(message) {
+    console.log(message);
+    if (!window.isPerformanceModeActive) {
+      document.getElementById('emuOutput').textContent += `\n${message}\n`;
+    }
+  }
+}
+
+// Syscall numbers for the 64-bit `syscall` instruction
+LinuxSyscallEmulator.SYSCALLS_64 = { 0: 'read', 1: 'write', 12: 'brk', 60: 'exit', 231: 'exit_group' };
+
+// Syscall numbers for the 32-bit `int 0x80` gate (also used by int 0x80 in long mode)
+LinuxSyscallEmulator.SYSCALLS_32 = { 1: 'exit', 3: 'read', 4: 'write', 45: 'brk', 252: 'exit_group' };
+
+// Linux errno values returned (negated) to the program
+LinuxSyscallEmulator.EBADF = 9;
+LinuxSyscallEmulator.EFAULT = 14;
+LinuxSyscallEmulator.ENOSYS = 38;
@@ -183,7 +183,7 @@ async function runTestWithPerformanceMeasurement(testName, testData) {
         resultData = objectFileData;
         resultType = 'object';
         
-        objectActualValue = await executeCodeAndGetResult(testData.timeout || 20000);
+        objectActualValue = await executeCodeAndGetResult(testData.timeout || 20000, testData.instructionBudget);
         objectExecutionSuccess = true;
         console.log(`📊 ${testName} - Phase 1B: Object execution succeeded, result: ${objectActualValue}`);
         
@@ -341,7 +341,7 @@ async function runTestWithPerformanceMeasurement(testName, testData) {
           console.warn(`📊 ${testName} - Phase 2B: DEBUGGING - Button check failed:`, debugErr);
         }
         
-        linkedActualValue = await executeCodeAndGetResult(testData.timeout || 20000);
+        linkedActualValue = await executeCodeAndGetResult(testData.timeout || 20000, testData.instructionBudget);
         linkedExecutionSuccess = true;
         console.log(`📊 ${testName} - Phase 2B: Linked execution succeeded, result: ${linkedActualValue}`);
       } catch (error) {
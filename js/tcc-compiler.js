@@ -3,6 +3,27 @@ let tccModule = null;
 let isModuleReady = false;
 let resultData = null;
 let resultType = null;
+const LIBC_STUB_FILE = 'libc_shim.s';
+const STARTUP_FILE = 'crt_start.s';
+
+// Process entry point for linked executables (we link with -nostdlib, so there is no crt1.o).
+// The loader lays out the initial stack like the kernel: argc, argv[], NULL, envp[], NULL.
+// The prologue doubles as the end marker for RBP frame chains, since RBP is 0 on entry.
+const STARTUP_SOURCE = `    .text
+    .globl _start
+_start:
+    push %rbp
+    mov %rsp, %rbp
+    mov 8(%rbp), %rdi
+    lea 16(%rbp), %rsi
+    lea 8(%rsi,%rdi,8), %rdx
+    and $-16, %rsp
+    call main
+    mov %eax, %edi
+    mov $60, %eax
+    syscall
+    hlt
+`;
 
 // Initialize TinyCC when page loads
 window.addEventListener('load', async function () {
@@ -52,12 +73,29 @@ function setupRuntimeFiles() {
         tccModule.FS.writeFile('libtcc1.a', data2);
         console.log('✓ Copied libtcc1.a from lib/');
 
+        tccModule.FS.writeFile(STARTUP_FILE, STARTUP_SOURCE);
+        console.log(`✓ Wrote ${STARTUP_FILE} startup routine`);
+
         console.log('Runtime files setup complete');
 
     } catch (error) {
         console.log('Runtime setup error:', error);
     }
 }
+
+// Install the libc shim's headers and link-time stubs (see js/libc-shim.js)
+function setupLibcShim() {
+    try {
+        tccModule.FS.mkdirTree('/usr/include');
+        for (const [name, contents] of Object.entries(LibcShim.HEADERS)) {
+            tccModule.FS.writeFile('/usr/include/' + name, contents);
+        }
+        tccModule.FS.writeFile(LIBC_STUB_FILE, LibcShim.linkStubSource());
+        console.log('✓ libc shim headers and stubs installed');
+    } catch (error) {
+        console.log('libc shim setup error:', error);
+    }
+}
 /**
  * Compiles C source code using TinyCC WebAssembly module with dual compilation modes.
  * Handles both object file generation (.o) and linked executable creation with proper
@@ -65,14 +103,14 @@ function setupRuntimeFiles() {
  * 
  * @param {string} mode - Compilation mode: 'compile' for object file or 'link' for linked executable
  * @param {string} mode.compile - Creates object file (.o) with relative addressing for debugging
- * @param {string} mode.link - Creates linked executable with _start function for execution
+ * @param {string} mode.link - Creates linked executable whose _start calls main() and exits with its result
  * 
  * @description
  * **Compilation Pipeline:**
  * 1. Reset previous compilation state and clear debugger status
- * 2. Setup TinyCC runtime files (crt1.o, crti.o, crtn.o, libc.a, libtcc1.a)
+ * 2. Setup TinyCC runtime files (crt1.o, crti.o, crtn.o, libc.a, libtcc1.a) and libc shim headers
  * 3. Write C source to virtual filesystem as 'source.c'
- * 4. For linking mode: inject _start() function to call main()
+ * 4. For linking mode: link the _start startup routine (argc/argv/envp, main, exit) and libc shim stubs
  * 5. Execute TinyCC with appropriate command line arguments
  * 6. Validate output ELF format and enable debugger integration
  * 7. Auto-load compiled result into debugging pipeline
@@ -117,31 +155,16 @@ function compileFromSource(mode = 'compile') {
 
         // Setup runtime files first to avoid crt*.o errors
         setupRuntimeFiles();
+        setupLibcShim();
 
         // Write source code to virtual filesystem
         const inputFile = 'source.c';
         let outputFile, args;
 
-        // For linking mode, we need to add a _start function since we're using -nostdlib
-        let finalSourceCode = sourceCode;
-        if (mode === 'link') {
-            // Add _start function that calls main() and exits
-            finalSourceCode = sourceCode + `
-
-// WebAssembly TinyCC linking requires _start function
-void _start() {
-    // Call main function and use its return value as exit code
-    int result = main();
-    // In a real system, this would call exit(result)
-    // For WebAssembly debugging, we just return
-    return;
-}
-`;
-        }
-
-        tccModule.FS.writeFile(inputFile, finalSourceCode);
+        tccModule.FS.writeFile(inputFile, sourceCode);
 
-        // Configure compilation mode
+        // Configure compilation mode. Both modes emit DWARF line tables for line-level
+        // source highlighting; this tcc's plain -g would emit STABS instead.
         if (mode === 'link') {
             // Link mode: create a linked executable for better debugging
             // Use our enhanced runtime files and library setup
@@ -165,12 +188,14 @@ void _start() {
             }
 
             // Try the simplest possible linking approach
-            // Use -nostdlib to avoid runtime file dependencies that are causing issues
-            args = ['tcc', inputFile, '-o', outputFile, '-nostdlib'];
+            // Use -nostdlib to avoid runtime file dependencies that are causing issues;
+            // our startup routine and the libc shim stubs stand in for crt1.o and the C library.
+            // -static makes tcc fill the GOT itself; there is no dynamic loader to apply GLOB_DAT entries
+            args = ['tcc', '-gdwarf', inputFile, STARTUP_FILE, LIBC_STUB_FILE, '-o', outputFile, '-nostdlib', '-static'];
         } else {
             // Compile mode: create object file (current behavior)
             outputFile = 'source.o';
-            args = ['tcc', '-c', '-nostdlib', inputFile, '-o', outputFile];
+            args = ['tcc', '-c', '-nostdlib', '-gdwarf', inputFile, '-o', outputFile];
         }
 
         // Manual argc/argv construction (ccall array handling has issues)
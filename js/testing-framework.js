@@ -12,7 +12,7 @@ const testCategories = {
     'fibonacci', 'prime', 'main_function', 'factorial_large', 'fibonacci_large', 'sum_recursive', 'power_recursive', 'gcd_recursive',
     'while_loop', 'nested_loops', 'array_sum', 'array_max', 'bubble_sort', 'binary_search',
     'matrix_multiply', 'quicksort_partition', 'collatz', 'triangle_numbers', 'bitwise_ops',
-    'bit_counting', 'struct_test', 'heavy_computation'
+    'bit_counting', 'struct_test', 'heavy_computation', 'global_variables'
   ],
   function_calls: [
     'five_function_cycle', 'four_function_cycle', 'two_function_ping_pong',
@@ -32,10 +32,80 @@ const testCategories = {
   ],
   dynamic_validation: [
     'dynamic_complex_qualifiers', 'dynamic_diverse_features'
+  ],
+  runtime: [
+    'syscall_write_exit', 'syscall_write_exit_linked', 'libc_strings_heap', 'libc_strings_heap_linked',
+    'unhandled_interrupt', 'unhandled_interrupt_linked', 'segfault_exit_code', 'segfault_exit_code_linked',
+    'stripped_executable'
   ]
 };
 
+// Runtime tests run the same program as an object file and as a linked executable
+const SYSCALL_TEST_CODE = `int main() {
+    static const char message[] = "syscall write\\n";
+    long written;
+    // write(1, message, 14), then exit(written + 28), straight through the syscall instruction
+    __asm__ volatile ("syscall" : "=a"(written) : "a"(1L), "D"(1L), "S"(message), "d"(14L) : "rcx", "r11", "memory");
+    __asm__ volatile ("syscall" : : "a"(60L), "D"(written + 28) : "rcx", "r11", "memory");
+    return 0; // Not reached when exit works
+}`;
+
+const LIBC_TEST_CODE = `#include <stdio.h>
+#include <stdlib.h>
+#include <string.h>
+
+int main() {
+    char *buffer = malloc(32);
+    if (buffer == NULL) {
+        return -1;
+    }
+    sprintf(buffer, "%d-%s", 12345, "abc"); // "12345-abc"
+    int length = strlen(buffer);
+    free(buffer);
+
+    char *copy = malloc(length + 1);
+    strcpy(copy, "hello");
+    length += strlen(copy);                 // 9 + 5
+    printf("%s %d\\n", copy, length);
+    free(copy);
+    return length * 3;                      // 42
+}`;
+
+const INTERRUPT_TEST_CODE = `int main() {
+    int sum = 0;
+    for (int i = 0; i < 10; i++) {
+        sum += i;
+    }
+    // Nothing handles int 3: Run stops on it with EAX = 42
+    __asm__ volatile ("mov $42, %%eax\\n\\tint $3" : : : "eax");
+    return sum; // 45 if the run went on
+}`;
+
+const STRIPPED_TEST_CODE = `#include <stdio.h>
+
+int zeroed[64];                 // .bss: the zero-filled end of a PT_LOAD segment
+int seed = 7;                   // .data
+const char *greeting = "hi";    // .rodata
+
+int main() {
+    int sum = 0;
+    for (int i = 0; i < 64; i++) {
+        sum += zeroed[i];
+    }
+    printf("%s %d\\n", greeting, seed);
+    return seed * 6 + sum;      // 42
+}`;
+
+const SEGFAULT_TEST_CODE = `int main() {
+    char *message = "read-only";
+    message[0] = 'R'; // String literals live in read-only memory: SIGSEGV
+    return 0;         // Not reached; a killed program exits with 128 + 11
+}`;
+
 // Test Data Structure with All Test Cases
+// A test may set instructionBudget to run with a budget other than the session's,
+// compileMode: 'link' to run as a linked executable instead of an object file, and
+// stripSectionHeaders: true to load that executable from its program headers alone
 const tests = {
   // Unit Tests
   simple: {
@@ -478,7 +548,29 @@ int main() {
 }`,
     expected: 500,
     description: "Test heavy computational workload",
-    timeout: 60000
+    timeout: 60000,
+    instructionBudget: 200000
+  },
+
+  // Advanced Tests - Globals (.data/.bss relocations)
+  global_variables: {
+    code: `int counter;
+int table[4] = {3, 1, 4, 1};
+int *cursor = &table[2];
+
+void bump(int n) {
+    counter += n;
+}
+
+int main() {
+    for (int i = 0; i < 4; i++) {
+        bump(table[i]);
+    }
+    return counter * 10 + *cursor;
+}`,
+    expected: 94,
+    description: "Test global variables, zeroed .bss and pointers initialised in .data",
+    timeout: 20000
   },
 
   // Function Calls Tests
@@ -1138,6 +1230,68 @@ int main() {
     expected: 709,
     description: "Dynamic validation: Diverse C features and complex formatting patterns",
     timeout: 25000
+  },
+
+  // Runtime Tests - system calls and the libc shim, in both compile modes
+  syscall_write_exit: {
+    code: SYSCALL_TEST_CODE,
+    expected: 42,
+    description: "Test the write and exit system calls: the exit status is write's result + 28",
+    timeout: 20000
+  },
+  syscall_write_exit_linked: {
+    code: SYSCALL_TEST_CODE,
+    compileMode: 'link',
+    expected: 42,
+    description: "Test the write and exit system calls in a linked executable",
+    timeout: 20000
+  },
+  libc_strings_heap: {
+    code: LIBC_TEST_CODE,
+    expected: 42,
+    description: "Test the libc shim: malloc, free, sprintf, strlen and strcpy",
+    timeout: 20000
+  },
+  libc_strings_heap_linked: {
+    code: LIBC_TEST_CODE,
+    compileMode: 'link',
+    expected: 42,
+    description: "Test the libc shim in a linked executable",
+    timeout: 20000
+  },
+  unhandled_interrupt: {
+    code: INTERRUPT_TEST_CODE,
+    expected: 42,
+    description: "Test that Run stops on an unhandled interrupt (int 3) instead of running past it",
+    timeout: 20000
+  },
+  unhandled_interrupt_linked: {
+    code: INTERRUPT_TEST_CODE,
+    compileMode: 'link',
+    expected: 42,
+    description: "Test that Run stops on an unhandled interrupt in a linked executable",
+    timeout: 20000
+  },
+  segfault_exit_code: {
+    code: SEGFAULT_TEST_CODE,
+    expected: 139,
+    description: "Test that a write to a string literal is reported as a segfault with exit code 139",
+    timeout: 20000
+  },
+  segfault_exit_code_linked: {
+    code: SEGFAULT_TEST_CODE,
+    compileMode: 'link',
+    expected: 139,
+    description: "Test the segfault exit code in a linked executable",
+    timeout: 20000
+  },
+  stripped_executable: {
+    code: STRIPPED_TEST_CODE,
+    compileMode: 'link',
+    stripSectionHeaders: true,
+    expected: 42,
+    description: "Test loading a linked executable without section headers from its PT_LOAD segments",
+    timeout: 20000
   }
 };
 // Helper function to get timeout value from slider
@@ -1157,6 +1311,31 @@ function showStatus(message, type = 'info') {
   }
 }
 
+// Helper function to compile a test's code the way the test asks for
+function compileTestCode(test) {
+  compileFromSource(test.compileMode);
+  // Compilation is synchronous; load the executable again as a stripped binary would be
+  if (test.stripSectionHeaders && resultType === 'linked_executable') {
+    autoLoadCompiledFile(withoutSectionHeaders(resultData), test.compileMode);
+  }
+}
+
+// Copy of an ELF file with no section header table, so only the program headers can load it
+function withoutSectionHeaders(elf) {
+  const bytes = Uint8Array.from(elf);
+  const view = new DataView(bytes.buffer);
+  if (bytes[4] === 2) { // ELFCLASS64
+    view.setBigUint64(0x28, 0n, true); // e_shoff
+    view.setUint16(0x3c, 0, true);     // e_shnum
+    view.setUint16(0x3e, 0, true);     // e_shstrndx
+  } else {
+    view.setUint32(0x20, 0, true);
+    view.setUint16(0x30, 0, true);
+    view.setUint16(0x32, 0, true);
+  }
+  return bytes;
+}
+
 // Helper function to clear all highlighting states
 function clearAllHighlighting() {
   console.log('Clearing all highlighting states for new test...');
@@ -1277,7 +1456,7 @@ async function runSelectedTest(category) {
       console.log('🔨 Compiling test code...');
       await new Promise((resolve, reject) => {
         try {
-          compileFromSource();
+          compileTestCode(test);
           setTimeout(resolve, 1000); // Wait for compilation
         } catch (error) {
           reject(error);
@@ -1470,7 +1649,7 @@ ${'='.repeat(30)}`;
       console.log(`🔨 Compiling ${testName}...`);
       await new Promise((resolve, reject) => {
         try {
-          compileFromSource();
+          compileTestCode(testData);
           console.log(`✅ Compilation initiated for ${testName}`);
           setTimeout(resolve, 1000); // Wait longer for compilation
         } catch (error) {
@@ -1482,7 +1661,7 @@ ${'='.repeat(30)}`;
       // Execute and get result with test-specific timeout
       console.log(`🚀 Executing ${testName}...`);
       const testTimeout = testData.timeout || getTimeoutValue();
-      const actualValue = await executeCodeAndGetResult(testTimeout);
+      const actualValue = await executeCodeAndGetResult(testTimeout, testData.instructionBudget);
 
       console.log(`✅ Test ${testName} completed. Expected: ${testData.expected}, Actual: ${actualValue}`);
 
@@ -1631,12 +1810,12 @@ ${'='.repeat(25)}`;
 
           // Compile
           console.log(`🔨 Compiling ${testName}...`);
-          compileFromSource();
+          compileTestCode(testData);
           await new Promise(resolve => setTimeout(resolve, 1000));
 
           // Execute
           console.log(`🚀 Executing ${testName}...`);
-          const actualValue = await executeCodeAndGetResult(testData.timeout || 20000);
+          const actualValue = await executeCodeAndGetResult(testData.timeout || 20000, testData.instructionBudget);
 
           // Check result
           const isPass = actualValue === testData.expected;
@@ -1810,8 +1989,10 @@ Status: ❌ FAIL
   }
 }
 
-// Core test execution function - uses existing "Run" button workflow
-async function executeCodeAndGetResult(timeoutMs = null) {
+// Core test execution function - uses existing "Run" button workflow.
+// instructionBudget overrides the session budget for this run; timeoutMs is a wall-clock
+// backstop for a debugger that stops responding, not for long-running programs.
+async function executeCodeAndGetResult(timeoutMs = null, instructionBudget = null) {
   if (timeoutMs === null) {
     timeoutMs = getTimeoutValue();
   }
@@ -1887,6 +2068,10 @@ async function executeCodeAndGetResult(timeoutMs = null) {
           resetBtn.click();
         }
 
+        if (instructionBudget) {
+          unicornDebugger.instructionBudget = instructionBudget;
+        }
+
         // Step 4: Run the program using existing "Run" button logic
         setTimeout(() => {
           if (isCompleted) return;
@@ -1924,12 +2109,21 @@ async function executeCodeAndGetResult(timeoutMs = null) {
                 return;
               }
 
+              // Ran out of instructions: the program never finished, so there is no return value
+              const budgetExhausted = unicornDebugger.budgetExhausted;
+              if (budgetExhausted) {
+                console.error(`❌ Instruction budget exhausted after ${budgetExhausted.instructions} instructions`);
+                isCompleted = true;
+                clearTimeout(executionTimeout);
+                reject(new Error(`Instruction budget exhausted after ${budgetExhausted.instructions} instructions`));
+                return;
+              }
+
               console.log('✅ Execution completed, reading return value...');
 
-              // Execution completed, get return value
-              const returnValue = unicornDebugger.is64bit ?
-                Number(unicornDebugger.engine.reg_read_i64(UnicornModule.X86_REG_RAX)) :
-                unicornDebugger.engine.reg_read_i32(UnicornModule.X86_REG_EAX);
+              // Execution completed, get return value (exit status for linked executables)
+              const termination = unicornDebugger.termination;
+              const returnValue = Number(termination ? termination.code : unicornDebugger.readReturnValue());
 
               console.log(`✅ Return value: ${returnValue}`);
 
@@ -35,6 +35,9 @@
        * @param {Object} engine - Unicorn Engine WebAssembly instance for CPU emulation
        * @param {boolean} is64bit - Architecture flag: true for x86_64, false for x86
        * @param {number} entryPoint - Memory address to begin program execution (e.g., 0x10000000)
+       * @param {Object} [runtime={}] - Process runtime services attached to this debugging session
+       * @param {LinuxSyscallEmulator} [runtime.syscalls] - Emulator for syscall / int 0x80 requests
+       * @param {LibcShim} [runtime.libc] - JavaScript implementations behind printf, malloc, etc.
        * 
        * @description
        * **Initialization Process:**
@@ -61,21 +64,68 @@
        * 
        * @since Version 1.0 - Initial WebAssembly debugging implementation
        */
-      constructor(engine, is64bit, entryPoint) {
+      constructor(engine, is64bit, entryPoint, runtime = {}) {
         this.engine = engine;
         this.is64bit = is64bit;
         this.entryPoint = entryPoint;
         this.currentAddress = entryPoint;
-        this.breakpoints = new Set();
+        this.breakpoints = new Set();      // Addresses execution stops in front of
+        this.userBreakpoints = new Map();  // Address -> breakpoint from createUserBreakpoint(), set from the UI
+        this.watchpoints = [];             // Data breakpoints from addWatchpoint()
+        this.activeWatchpoints = [];       // The enabled ones, checked on every memory access
+        this.nextWatchpointId = 1;
+        this.pendingWatchHit = null;       // Watched access made by the instruction being executed
+        this.unhandledInterrupt = null;    // { intno, pc } of an interrupt the instruction being executed raised
+        this.stepAddress = null;           // Instruction being single-stepped
+        this.runTarget = null;             // Where Step Over, Step Out or Run to Cursor stops the run
         this.isRunning = false;
         this.isPaused = false;
         this.disasm = new cs.Capstone(cs.ARCH_X86, is64bit ? cs.MODE_64 : cs.MODE_32);
-        this.executionTrace = [];
-        this.lastLoggedAddress = null;
+        this.stepHookCount = 0;
+        this.fastRunning = false;   // True while runBatch() is executing instructions without UI updates
+        this.nativeRun = null;      // State of the current native (HOOK_CODE-free) emu_start inside runBatch()
+        this.blockInfo = new Map(); // Translation block address -> decoded instructions, see analyzeBlock()
+        this.lastRunRefresh = 0;
         
-        // C function-level highlighting system
+        // Instructions one Run may execute: counted, not timed, so a run stops at the same place on any machine
+        this.instructionBudget = runtime.instructionBudget || UnicornDebugger.DEFAULT_INSTRUCTION_BUDGET;
+        this.budgetExhausted = null; // { budget, instructions, address } when the last Run used up its budget
+        
+        // Linux syscall emulation (program output, heap, exit)
+        this.syscalls = runtime.syscalls || null;
+        this.libc = runtime.libc || null;
+        this.dataSymbols = runtime.dataSymbols || new Map();               // Global variable name -> { address, size }
+        this.functionBoundaries = runtime.functionBoundaries || new Map(); // Function name -> { start, size } from .symtab
+        this.lineTable = runtime.lineTable || [];                         // Rows of .debug_line, see parseDebugLine()
+        this.debugInfo = runtime.debugInfo || null;                       // Variables and types, see parseDebugInfo()
+        this.termination = null; // { reason: 'exit' | 'halt' | 'signal', code, address, instructions } once the program ends
+        this.accessViolation = null; // Details of the protection fault that stopped the current step
+        
+        // Undo log behind Step Back and Reverse Continue; not kept while measuring performance
+        this.history = new ExecutionHistory(engine, is64bit, [this.syscalls].filter(Boolean));
+        this.history.enabled = !window.isPerformanceModeActive;
+        if (this.libc) {
+          this.libc.history = this.history; // Heap changes are logged as they happen instead of snapshotted
+        }
+        
+        // Structured trace behind the Execution Log and the timeline slider; its memory
+        // effects come from the history's write journal
+        this.trace = new ExecutionTrace(this.history, () => this.getAllRegisters());
+        this.trace.enabled = !window.isPerformanceModeActive;
+        this.recordEveryInstruction = false; // Run single-steps everything so each instruction gets a trace entry
+        this.timelineIndex = null;           // Trace entry the panels show, null for the live state
+        
+        // Memory tab: address shown (null until one is chosen), addresses to go Back to,
+        // the decoding of each row and where the shown bytes were read from
+        this.memoryView = { address: null, back: [], type: '', readMemory: null };
+        this.frameLayouts = new Map(); // Function start -> frameLayout(), for the stack view labels
+        
+        // C source highlighting: instruction address -> function and line, see mapAssemblyToC()
         this.lineMapping = new Map();
+        this.sourceLines = [];
         this.currentHighlightedFunction = null;
+        this.currentHighlightedLine = null;
+        this.interleaveSource = false; // Assembly view shows each instruction group's C line above it
         
         // Set initial RIP/EIP
         if (is64bit) {
@@ -88,47 +138,217 @@
       }
       
       setupHooks() {
-        // Hook for tracking execution
-        this.engine.hook_add(UnicornModule.HOOK_CODE, (engine, address) => {
+        // Hook for tracking execution. Kept as a callback so fast run can take it out of the engine:
+        // while a HOOK_CODE is registered Unicorn.js clobbers EAX inside multi-instruction blocks
+        this.codeHookCallback = (engine, address, addressHigh, size) => {
           this.currentAddress = address;
           
-          // Log to execution trace - only if not already logged
-          if (!this.lastLoggedAddress || this.lastLoggedAddress !== address) {
-            this.logToExecutionTrace(address);
-            this.lastLoggedAddress = address;
+          // A count-limited emu_start also reports the branch target it stops at without
+          // executing it, so only the first hook of a step may have side effects
+          const executes = this.stepHookCount++ === 0;
+          
+          // Emulate `syscall` before it executes - Unicorn itself treats it as a no-op
+          if (executes && this.syscalls && size === 2 && this.isSyscallInstruction(address)) {
+            this.syscalls.handleSyscall();
+          }
+          
+          // Calls into libc stubs run in JavaScript; the stub's `ret` then returns the result
+          if (executes && this.libc && this.libc.isStub(address)) {
+            this.libc.handleCall(address);
+          }
+          
+          // runBatch() checks breakpoints itself
+          if (this.fastRunning) {
+            return;
           }
           
           if (this.breakpoints.has(address)) {
-            this.isPaused = true;
-            this.isRunning = false;
-            console.log(`Breakpoint hit at 0x${address.toString(16)} - Program terminated`);
-            this.updateUI();
-            // Check if this is an exit breakpoint by checking if it contains HLT instruction
-            try {
-              const instrBytes = this.engine.mem_read(address, 1);
-              if (instrBytes[0] === 0xF4) { // HLT instruction
-                console.log('Program completed successfully (exit breakpoint hit)');
-                if (!window.isPerformanceModeActive) {
-                  document.getElementById('emuOutput').textContent += '\nProgram completed successfully.\n';
-                }
-              }
-            } catch(e) {
-              // If we can't read the instruction, assume it's a normal breakpoint
-            }
+            this.handleBreakpointHit(address);
             return false; // Stop execution
           }
+        };
+        this.codeHook = this.engine.hook_add(UnicornModule.HOOK_CODE, this.codeHookCallback);
+        
+        // Fast run executes whole translation blocks; this decides which ones may run natively
+        this.engine.hook_add(UnicornModule.HOOK_BLOCK, (engine, address, addressHigh, size) => {
+          if (this.nativeRun) {
+            this.enterNativeBlock(address, size);
+          }
         });
         
         // Hook for halt instruction - use the breakpoint instead since HOOK_INSN may not be available
         // Dynamic exit breakpoints will handle program termination
         
+        // Hook for software interrupts - int 0x80 is the i386 Linux syscall gate. Blocks with
+        // an interrupt are single-stepped (see analyzeBlock()), and runBatch() ends a Run on
+        // the unhandledInterrupt flag, since emu_stop() only ends the current step
+        this.engine.hook_add(UnicornModule.HOOK_INTR, (engine, intno) => {
+          if (this.syscalls && this.syscalls.handleInterrupt(intno)) {
+            return;
+          }
+          if (this.nativeRun) {
+            // An exception (divide error) in a natively run block: RIP is the faulting
+            // instruction, which runBatch() single-steps so it raises the interrupt again
+            this.nativeRun.abortAt = { pc: this.getCurrentPC(), undo: null };
+            this.engine.emu_stop();
+            return;
+          }
+          this.unhandledInterrupt = { intno, pc: this.stepAddress };
+          console.log(`Unhandled interrupt 0x${intno.toString(16)} at 0x${this.stepAddress.toString(16)}`);
+          if (!window.isPerformanceModeActive) {
+            document.getElementById('emuOutput').textContent += `\nUnhandled interrupt 0x${intno.toString(16)} at 0x${this.stepAddress.toString(16)}\n`;
+          }
+          this.engine.emu_stop();
+        });
+        
+        // Protection faults (write to .rodata/.text, execute from the stack or data) become a SIGSEGV
+        this.engine.hook_add(UnicornModule.HOOK_MEM_PROT, (engine, type, address, addressHigh, size) => {
+          this.accessViolation = { type, address, size, pc: this.getCurrentPC() };
+          return false; // Let emu_start fail so the step stops at the faulting instruction
+        });
+        
+        // Watchpoints. Even with none set this hook matters: with a read/write hook registered Unicorn
+        // updates RIP before every memory access, so the PC seen above is the faulting instruction
+        // even in the middle of a natively run block
+        this.engine.hook_add(UnicornModule.HOOK_MEM_READ | UnicornModule.HOOK_MEM_WRITE,
+          (engine, type, address, addressHigh, size, valueLow, valueHigh) => {
+            if (type === UnicornModule.MEM_WRITE) {
+              this.history.recordWrite(address, size);
+            }
+            if (this.activeWatchpoints.length > 0) {
+              this.checkWatchpoints(type, address, size, valueLow, valueHigh);
+            }
+          });
+      }
+      
+      handleBreakpointHit(address) {
+        const wasRunning = this.isRunning;
+        this.isPaused = true;
+        this.isRunning = false;
+        this.updateUI();
+        // Check if this is an exit breakpoint by checking if it contains HLT instruction
+        try {
+          const instrBytes = this.engine.mem_read(address, 1);
+          if (instrBytes[0] === 0xF4) { // HLT instruction
+            const returnValue = this.readReturnValue();
+            this.recordTermination('halt', returnValue);
+            console.log('Program completed successfully (exit breakpoint hit)');
+            if (!window.isPerformanceModeActive) {
+              document.getElementById('emuOutput').textContent += `\nProgram completed successfully. Return value: ${this.formatValue(returnValue, 4)}\n`;
+            }
+            return;
+          }
+        } catch(e) {
+          // If we can't read the instruction, assume it's a normal breakpoint
+        }
+        
+        // A Run stops in front of a breakpoint; Step reaches this while executing the
+        // instruction under one, which is not a hit
+        if (!wasRunning) {
+          return;
+        }
+        const breakpoint = this.userBreakpoints.get(address);
+        const lines = breakpoint && breakpoint.sourceLines.size > 0 ? `, line ${[...breakpoint.sourceLines].join('/')}` : '';
+        const message = `Breakpoint hit at 0x${address.toString(16)} (C function ${this.functionNameAt(address)}${lines}): ${this.describeInstruction(address)}`;
+        console.log(message);
+        if (!window.isPerformanceModeActive) {
+          document.getElementById('emuOutput').textContent += `\n${message}\n`;
+          this.updateBreakpointList();
+        }
+      }
+      
+      isSyscallInstruction(address) {
+        try {
+          const bytes = this.engine.mem_read(address, 2);
+          return bytes[0] === 0x0F && bytes[1] === 0x05;
+        } catch(e) {
+          return false;
+        }
+      }
+      
+      /**
+       * Records how the program ended. Both endings produce the same shape, so the UI
+       * and the test runner can read one result: the exit syscall's status for linked
+       * executables, or RAX/EAX when an object file's main() returns into the HLT stub.
+       * The code is kept as a BigInt like every other machine value; the address is a
+       * Number like every code address (see getCurrentPC()).
+       */
+      recordTermination(reason, code) {
+        this.termination = {
+          reason,
+          code: BigInt(code),
+          address: this.getCurrentPC(),
+          instructions: this.executionCount || 0
+        };
+        return this.termination;
+      }
+      
+      // C function containing an instruction address, from the source mapping built by mapAssemblyToC
+      functionNameAt(address) {
+        const functionInfo = this.lineMapping.get(address);
+        return functionInfo ? functionInfo.functionName : 'unknown';
+      }
+      
+      /**
+       * Reports the protection fault recorded by the HOOK_MEM_PROT handler the way a
+       * shell would see it: the process dies with SIGSEGV (exit status 128 + 11).
+       *
+       * @param {number} faultingPC - Address of the instruction that made the access
+       * @param {string} instructionText - Disassembly of that instruction
+       */
+      handleAccessViolation(faultingPC, instructionText) {
+        const { type, size } = this.accessViolation;
+        // For a fetch the hook's address can lie inside the first instruction; the PC is the jump target
+        const address = type === UnicornModule.MEM_FETCH_PROT ? this.getCurrentPC() : this.accessViolation.address;
+        const access = type === UnicornModule.MEM_WRITE_PROT ? `${size}-byte write to read-only memory` :
+                       type === UnicornModule.MEM_FETCH_PROT ? 'execute from non-executable memory' :
+                       `${size}-byte read from unreadable memory`;
+        const functionName = this.functionNameAt(faultingPC);
+        const message = `Segmentation fault at 0x${address.toString(16)} (C function ${functionName}): ` +
+                        `${access} by '${instructionText}' at 0x${faultingPC.toString(16)}`;
         
+        this.recordTermination('signal', 128 + 11);
+        this.termination.address = faultingPC;
+        this.termination.signal = 'SIGSEGV';
+        this.termination.faultAddress = address;
+        console.log(message);
+        if (!window.isPerformanceModeActive) {
+          document.getElementById('emuOutput').textContent += `\n${message}\n`;
+        }
+      }
+      
+      // Called once the program has invoked exit/exit_group
+      handleProgramExit() {
+        const status = this.syscalls.exitStatus;
+        this.recordTermination('exit', status);
+        this.isRunning = false;
+        this.isPaused = true;
+        console.log(`Program exited with status ${status}`);
+        if (!window.isPerformanceModeActive) {
+          document.getElementById('emuOutput').textContent += `\nProgram exited with status ${status}.\n`;
+        }
+        this.updateButtonStates();
       }
       
       stepInstruction() {
+        if (this.syscalls && this.syscalls.hasExited()) {
+          if (!window.isPerformanceModeActive) {
+            document.getElementById('emuOutput').textContent += `\nProgram has already exited with status ${this.syscalls.exitStatus}. Reset to run again.\n`;
+          }
+          return;
+        }
+        if (this.termination && this.termination.reason === 'signal') {
+          if (!window.isPerformanceModeActive) {
+            document.getElementById('emuOutput').textContent += `\nProgram was killed by ${this.termination.signal}. Reset to run again.\n`;
+          }
+          return;
+        }
+        
+        let startAddr = null;
+        let instructionText = '';
         try {
           this.isPaused = false;
-          const startAddr = this.getCurrentPC();
+          startAddr = this.getCurrentPC();
           
           // Capture pre-execution state for step analysis
           const preState = this.captureStepState();
@@ -137,22 +357,23 @@
           const instrBytes = this.engine.mem_read(startAddr, 16);
           const instructions = this.disasm.disasm(instrBytes, startAddr, 1);
           const instrLength = instructions[0].size;
-          const instructionText = `${instructions[0].mnemonic} ${instructions[0].op_str}`;
+          instructionText = `${instructions[0].mnemonic} ${instructions[0].op_str}`;
           console.log(`Executing: ${instructionText} at 0x${startAddr.toString(16)}`);
           
           // Execute exactly one instruction with proper end address
-          this.engine.emu_start(startAddr, startAddr + instrLength, 0, 1);
+          this.singleStep(startAddr, instrLength);
           this.currentAddress = this.getCurrentPC();
+          if (this.pendingWatchHit) {
+            this.handleWatchpointHit();
+          }
           
           // Capture post-execution state and log step analysis
           const postState = this.captureStepState();
           this.logStepAnalysis(startAddr, instructionText, preState, postState);
           
-          // Log execution trace AFTER instruction executes
-          this.logExecutedInstruction();
-          
-          // Clear last logged address for next instruction
-          this.lastLoggedAddress = null;
+          if (!window.isPerformanceModeActive) {
+            this.updateExecutionTrace();
+          }
           
           // Log detailed debug info to console
           this.logDebugState(startAddr, instructionText);
@@ -164,46 +385,74 @@
           if (!window.isPerformanceModeActive) {
             this.highlightCFunction(this.currentAddress);
           }
-        } catch(e) {
-          console.error('Step error:', e);
-          const errorMsg = e.message || e.toString();
-          
-          // Check for specific error types
-          if (errorMsg.includes('UC_ERR_INSN_INVALID')) {
-            const pc = this.getCurrentPC();
-            if (!window.isPerformanceModeActive) {
-              document.getElementById('emuOutput').textContent += `Invalid instruction at 0x${pc.toString(16)}\n`;
-            }
-          } else if (errorMsg.includes('UC_ERR_FETCH_UNMAPPED')) {
-            const pc = this.getCurrentPC();
-            if (!window.isPerformanceModeActive) {
-              document.getElementById('emuOutput').textContent += `Unmapped instruction fetch at 0x${pc.toString(16)}\n`;
-            }
-          } else {
-            if (!window.isPerformanceModeActive) {
-              document.getElementById('emuOutput').textContent += `Step error: ${errorMsg}\n`;
-            }
-          }
           
-          // Show final return value when execution stops
-          try {
-            const returnValue = this.is64bit ? 
-              this.engine.reg_read_i64(UnicornModule.X86_REG_RAX) :
-              this.engine.reg_read_i32(UnicornModule.X86_REG_EAX);
-            if (!window.isPerformanceModeActive) {
-              document.getElementById('emuOutput').textContent += `\nProgram finished. Return value: ${returnValue} (0x${returnValue.toString(16)})\n`;
-            }
-          } catch(e) {
-            // Ignore if we can't read registers
+          if (this.syscalls && this.syscalls.hasExited()) {
+            this.handleProgramExit();
           }
-          
+        } catch(e) {
+          console.error('Step error:', e);
+          this.handleExecutionError(e, startAddr, instructionText, 'Step error');
+        }
+      }
+      
+      /**
+       * Reports an emu_start failure and pauses the debugger. Shared by single-stepping
+       * and fast run; `faultingPC` is the instruction that was executing when it failed.
+       */
+      handleExecutionError(e, faultingPC, instructionText, label) {
+        const errorMsg = e.message || e.toString();
+        
+        // Check for specific error types
+        if (this.accessViolation && faultingPC !== null) {
+          this.handleAccessViolation(faultingPC, instructionText);
           this.isPaused = true;
           this.isRunning = false;
+          this.updateButtonStates();
           this.updateUI();
+          return;
+        } else if (errorMsg.includes('UC_ERR_INSN_INVALID')) {
+          const pc = this.getCurrentPC();
+          if (!window.isPerformanceModeActive) {
+            document.getElementById('emuOutput').textContent += `Invalid instruction at 0x${pc.toString(16)}\n`;
+          }
+        } else if (errorMsg.includes('UC_ERR_FETCH_UNMAPPED')) {
+          const pc = this.getCurrentPC();
+          if (!window.isPerformanceModeActive) {
+            document.getElementById('emuOutput').textContent += `Unmapped instruction fetch at 0x${pc.toString(16)}\n`;
+          }
+        } else {
+          if (!window.isPerformanceModeActive) {
+            document.getElementById('emuOutput').textContent += `${label}: ${errorMsg}\n`;
+          }
+        }
+        
+        // Show final return value when execution stops
+        try {
+          const returnValue = this.readReturnValue();
+          if (!window.isPerformanceModeActive) {
+            document.getElementById('emuOutput').textContent += `\nProgram finished. Return value: ${this.formatValue(returnValue, 4)}\n`;
+          }
+        } catch(e) {
+          // Ignore if we can't read registers
         }
+        
+        this.isPaused = true;
+        this.isRunning = false;
+        this.updateButtonStates();
+        this.updateUI();
       }
       
-      runUntilHalt() {
+      /**
+       * Runs the program until it exits, halts, hits a breakpoint or uses up its
+       * instruction budget. Instructions execute in batches of RUN_BATCH_SIZE with no
+       * trace, step analysis or redraw per instruction; the display is refreshed at
+       * most every RUN_REFRESH_INTERVAL ms. Between batches the event loop gets a
+       * turn so the Stop button still works.
+       *
+       * @param {Object} [target] - Also stop on reaching this location, see reachedRunTarget():
+       *   { name, address, minStackPointer (BigInt or null) }
+       */
+      runUntilHalt(target = null) {
         if (this.isRunning) {
           console.log('Already running');
           return;
@@ -212,11 +461,14 @@
         this.isRunning = true;
         this.isPaused = false;
         this.executionCount = 0;
-        this.maxInstructions = 10000; // Safety limit
+        this.maxInstructions = this.instructionBudget;
+        this.budgetExhausted = null;
+        this.runTarget = target;
         
-        console.log('Starting continuous execution until HLT...');
+        const description = target ? `${target.name}: running to 0x${target.address.toString(16)}` : 'Running until halt';
+        console.log(target ? description : 'Starting continuous execution until HLT...');
         if (!window.isPerformanceModeActive) {
-          document.getElementById('emuOutput').textContent += 'Running until halt...\n';
+          document.getElementById('emuOutput').textContent += `${description}...\n`;
         }
         
         this.updateButtonStates();
@@ -228,125 +480,627 @@
           return;
         }
         
-        // Safety check
+        if (this.syscalls && this.syscalls.hasExited()) {
+          this.handleProgramExit();
+          this.refreshRunDisplay(true);
+          return;
+        }
+        
         if (this.executionCount >= this.maxInstructions) {
-          console.log('Maximum instruction limit reached - stopping execution');
+          this.handleBudgetExhausted();
+          return;
+        }
+        
+        const startAddr = this.getCurrentPC();
+        
+        // Check for halt instruction before execution
+        if (this.isHaltInstruction(startAddr)) {
+          const returnValue = this.readReturnValue();
+          this.recordTermination('halt', returnValue);
+          console.log('HLT instruction encountered - stopping execution');
           if (!window.isPerformanceModeActive) {
-            document.getElementById('emuOutput').textContent += `\nExecution stopped: ${this.maxInstructions} instruction limit reached\n`;
+            document.getElementById('emuOutput').textContent += `\nHLT instruction reached - program terminated with return value ${this.formatValue(returnValue, 4)}\n`;
           }
           this.stopExecution();
           return;
         }
         
+        if (!this.runBatch()) {
+          return; // Stopped by an emulation error, already reported
+        }
+        this.currentAddress = this.getCurrentPC();
+        
+        if (this.syscalls && this.syscalls.hasExited()) {
+          this.handleProgramExit();
+          this.refreshRunDisplay(true);
+          return;
+        }
+        if (this.isPaused) { // Stopped at a breakpoint, a watchpoint or the run target
+          this.updateButtonStates();
+          this.refreshRunDisplay(true);
+          return;
+        }
+        
+        this.refreshRunDisplay(false);
+        setTimeout(() => this.continueExecution(), 0);
+      }
+      
+      /**
+       * Executes up to RUN_BATCH_SIZE instructions without touching the UI. Stops early
+       * in front of a breakpoint that triggers (except the one being resumed from) or a
+       * HLT, and when the program exits. Breakpoint conditions are evaluated here rather
+       * than in the HOOK_CODE callback, which is out of the engine during native runs.
+       *
+       * Straight-line code runs natively: HOOK_CODE is removed and emu_start executes whole
+       * translation blocks, with the HOOK_BLOCK handler stopping in front of any block that
+       * needs JavaScript (a syscall, a libc stub, a HLT or a breakpoint) or would overrun the
+       * instruction limit. That one instruction is then single-stepped with HOOK_CODE back
+       * in place, exactly as stepInstruction() would run it.
+       *
+       * Recording every instruction for the trace single-steps the whole run, which is
+       * far slower, so those batches are RECORDED_BATCH_SIZE instructions long.
+       *
+       * @returns {boolean} false if emulation failed (the error has been reported)
+       */
+      runBatch() {
+        const batchSize = this.recordEveryInstruction && this.trace.enabled ?
+          UnicornDebugger.RECORDED_BATCH_SIZE : UnicornDebugger.RUN_BATCH_SIZE;
+        const limit = Math.min(this.executionCount + batchSize, this.maxInstructions);
+        let skipBreakpointAt = this.getCurrentPC(); // The breakpoint we are resuming from
+        let pc = skipBreakpointAt;
+        
+        this.fastRunning = true;
         try {
-          const startAddr = this.getCurrentPC();
-          
-          // Check for halt instruction before execution
-          if (this.isHaltInstruction(startAddr)) {
-            console.log('HLT instruction encountered - stopping execution');
-            if (!window.isPerformanceModeActive) {
-              document.getElementById('emuOutput').textContent += '\nHLT instruction reached - program terminated\n';
+          while (this.executionCount < limit) {
+            const executedBefore = this.executionCount;
+            const { needsStep, abortAt, lastBlock } = this.runNative(pc, limit, skipBreakpointAt);
+            
+            if (this.syscalls && this.syscalls.hasExited()) {
+              break;
+            }
+            pc = this.getCurrentPC();
+            if (abortAt) {
+              this.abortNativeInstruction(abortAt, lastBlock);
+              pc = abortAt.pc;
+              skipBreakpointAt = pc; // Already past any breakpoint here; only the instruction is left to run
+            } else {
+              if (this.executionCount !== executedBefore) {
+                skipBreakpointAt = null;
+              }
+              // Without a block asking for it, only step when the native run made no progress at all
+              if ((!needsStep && this.executionCount !== executedBefore) || this.executionCount >= limit) {
+                continue;
+              }
+            }
+            
+            if (pc !== skipBreakpointAt && this.breakpoints.has(pc) && this.shouldStopAtBreakpoint(pc)) {
+              this.handleBreakpointHit(pc);
+              break;
+            }
+            if (pc !== skipBreakpointAt && this.reachedRunTarget(pc)) {
+              this.handleRunTargetReached(pc);
+              break;
+            }
+            if (this.engine.mem_read(pc, 1)[0] === 0xF4) {
+              break; // continueExecution() reports the HLT
+            }
+            
+            this.singleStep(pc);
+            this.executionCount++;
+            skipBreakpointAt = null;
+            
+            if (this.syscalls && this.syscalls.hasExited()) {
+              break;
+            }
+            pc = this.getCurrentPC();
+            if (this.pendingWatchHit) {
+              this.handleWatchpointHit();
+              break;
+            }
+            if (this.unhandledInterrupt) { // Already reported by the HOOK_INTR handler
+              this.isRunning = false;
+              this.isPaused = true;
+              break;
             }
-            this.stopExecution();
-            return;
           }
-          
-          // Execute one step
-          this.stepInstruction();
-          this.executionCount++;
-          
-          // Continue execution after small delay for UI responsiveness
-          setTimeout(() => this.continueExecution(), 5);
-          
         } catch(e) {
-          console.error('Execution error:', e);
-          if (!window.isPerformanceModeActive) {
-            document.getElementById('emuOutput').textContent += `\nExecution stopped due to error: ${e.message}\n`;
+          // A fetch fault is raised for the jump target: blame the single-stepped instruction,
+          // or in a native run the branch that ended the last block
+          let faultingPC = this.accessViolation ? this.accessViolation.pc : this.getCurrentPC();
+          const lastBlock = this.nativeRun ? this.nativeRun.lastBlock : null;
+          if (this.accessViolation && this.accessViolation.type === UnicornModule.MEM_FETCH_PROT) {
+            faultingPC = lastBlock ? lastBlock.addresses[lastBlock.addresses.length - 1] : pc;
+          } else if (lastBlock && lastBlock.addresses.includes(faultingPC)) {
+            this.history.trimLastEntry(lastBlock.addresses.indexOf(faultingPC)); // It never completed
           }
-          this.stopExecution();
+          this.nativeRun = null;
+          this.fastRunning = false;
+          console.error('Execution error:', e);
+          this.handleExecutionError(e, faultingPC, this.describeInstruction(faultingPC), 'Execution stopped due to error');
+          this.refreshRunDisplay(true);
+          return false;
         }
+        this.fastRunning = false;
+        return true;
       }
       
-      stopExecution() {
-        this.isRunning = false;
-        this.isPaused = true;
-        console.log(`Execution stopped after ${this.executionCount} instructions`);
-        if (!window.isPerformanceModeActive) {
-          document.getElementById('emuOutput').textContent += `\nExecution stopped. Instructions executed: ${this.executionCount}\n`;
+      /**
+       * One HOOK_CODE-free emu_start from `pc`, ended by enterNativeBlock() in front of the
+       * first block that cannot run natively or would pass `limit` instructions. While every
+       * instruction is being recorded nothing runs natively and the caller is asked to step.
+       * @param {number|null} resumeAddress - Breakpoint address to run over at the start
+       * @returns {Object} The finished nativeRun record (needsStep, abortAt, lastBlock)
+       */
+      runNative(pc, limit, resumeAddress) {
+        if (this.recordEveryInstruction && this.trace.enabled) {
+          return { needsStep: true, abortAt: null, lastBlock: null };
         }
-        this.updateButtonStates();
-        this.updateUI();
+        this.nativeRun = { resumeAddress, first: true, limit, needsStep: false, lastBlock: null, abortAt: null };
+        this.pendingWatchHit = null;
+        this.history.checkpoint(this.historyState());
+        this.engine.hook_del(this.codeHook);
+        this.codeHook = null;
+        try {
+          this.engine.emu_start(pc, UnicornDebugger.RUN_UNTIL_NEVER, 0, 0);
+        } finally {
+          this.codeHook = this.engine.hook_add(UnicornModule.HOOK_CODE, this.codeHookCallback);
+        }
+        const run = this.nativeRun;
+        this.nativeRun = null;
+        return run;
       }
       
-      isHaltInstruction(address) {
+      // One instruction with HOOK_CODE in place - the only safe way to single-step, see runBatch()
+      singleStep(pc, length = this.instructionLength(pc)) {
+        this.stepHookCount = 0;
+        this.stepAddress = pc;
+        this.accessViolation = null;
+        this.pendingWatchHit = null;
+        this.unhandledInterrupt = null;
+        this.history.checkpoint(this.historyState());
+        this.trace.begin(pc, this.history.position, address => ({
+          instruction: this.describeInstruction(address),
+          functionName: this.functionContaining(address)
+        }));
         try {
-          const instrBytes = this.engine.mem_read(address, 16);
-          const instructions = this.disasm.disasm(instrBytes, address, 1);
-          if (instructions.length > 0) {
-            const mnemonic = instructions[0].mnemonic.toLowerCase();
-            return mnemonic === 'hlt';
-          }
+          this.engine.emu_start(pc, pc + length, 0, 1);
         } catch(e) {
-          // If we can't read the instruction, assume it's not halt
-          return false;
+          this.trace.abort();
+          throw e;
         }
-        return false;
+        this.trace.end();
+        this.history.recordInstructions([pc]);
       }
       
-      updateButtonStates() {
-        const runBtn = document.getElementById('runBtn');
-        const stopBtn = document.getElementById('stopBtn');
-        const stepBtn = document.getElementById('stepBtn');
-        const resetBtn = document.getElementById('resetBtn');
-        
-        const fabRun = document.querySelector('.fab-run');
-        const fabStop = document.querySelector('.fab-stop');
-        const fabStep = document.querySelector('.fab-step');
+      // HOOK_BLOCK handler during a native run: let the block execute, or stop in front of it
+      enterNativeBlock(address, size) {
+        const run = this.nativeRun;
+        const block = this.analyzeBlock(address, size);
+        const resuming = run.first && address === run.resumeAddress;
+        run.first = false;
         
-        if (!window.isPerformanceModeActive) {
-          if (this.isRunning) {
-            // During execution: hide run, show stop, disable step/reset
-            if (runBtn) { runBtn.style.display = 'none'; }
-            if (stopBtn) { stopBtn.style.display = 'inline-block'; stopBtn.disabled = false; }
-            if (stepBtn) { stepBtn.disabled = true; }
-            if (resetBtn) { resetBtn.disabled = true; }
-            
-            if (fabRun) { fabRun.style.display = 'none'; }
-            if (fabStop) { fabStop.style.display = 'block'; fabStop.disabled = false; }
-            if (fabStep) { fabStep.disabled = true; fabStep.style.opacity = '0.5'; }
-          } else {
-            // When stopped: show run, hide stop, enable step/reset
-            if (runBtn) { runBtn.style.display = 'inline-block'; runBtn.disabled = false; }
-            if (stopBtn) { stopBtn.style.display = 'none'; }
-            if (stepBtn) { stepBtn.disabled = false; }
-            if (resetBtn) { resetBtn.disabled = false; }
-            
-            if (fabRun) { fabRun.style.display = 'block'; fabRun.disabled = false; }
-            if (fabStop) { fabStop.style.display = 'none'; }
-            if (fabStep) { fabStep.disabled = false; fabStep.style.opacity = '1'; }
-          }
+        const targetAddress = this.runTarget ? this.runTarget.address : null;
+        const hitsBreakpoint = block.addresses.some((addr, index) =>
+          (this.breakpoints.has(addr) || addr === targetAddress) && !(resuming && index === 0));
+        if (block.needsHooks || hitsBreakpoint || this.executionCount + block.addresses.length > run.limit) {
+          run.needsStep = true;
+          this.engine.emu_stop(); // Stopping from the block hook keeps the block from executing
+          return;
         }
+        this.executionCount += block.addresses.length;
+        run.lastBlock = block;
+        this.history.recordInstructions(block.addresses);
+        this.trace.recordUntraced(block.depthChange);
       }
       
-      reset() {
-        this.currentAddress = this.entryPoint;
-        this.executionTrace = [];
-        this.lastLoggedAddress = null;
-        this.isRunning = false;
-        this.isPaused = false;
-        this.executionCount = 0;
-        
-        if (this.is64bit) {
-          this.engine.reg_write_i64(UnicornModule.X86_REG_RIP, this.entryPoint);
-        } else {
-          this.engine.reg_write_i32(UnicornModule.X86_REG_EIP, this.entryPoint);
+      // Debugger state saved with every history checkpoint
+      historyState() {
+        return { termination: this.termination, trace: this.trace.state() };
+      }
+      
+      /**
+       * Puts the machine in the state it had after `position` instructions: the history
+       * restores the closest checkpoint before it and the rest is executed again.
+       * @returns {boolean} false if the position is no longer recorded
+       */
+      rewindTo(position) {
+        const from = this.history.position;
+        const checkpoint = this.history.restore(position);
+        if (!checkpoint) {
+          return false;
         }
+        this.termination = checkpoint.state.termination;
+        this.trace.truncate(checkpoint.state.trace);
+        this.executionCount = Math.max(0, this.executionCount - (from - position));
+        this.budgetExhausted = null;
         
-        this.updateButtonStates();
-        this.updateUI();
-        if (!window.isPerformanceModeActive) {
-          document.getElementById('emuOutput').textContent = 'Debugger reset.\n';
-          document.getElementById('stepAnalysisOutput').textContent = '';
+        // Replays never stop at breakpoints, watchpoints or a run target
+        const watchpoints = this.activeWatchpoints;
+        this.activeWatchpoints = [];
+        this.runTarget = null;
+        this.fastRunning = true;
+        try {
+          while (this.history.position < position) {
+            const before = this.history.position;
+            this.runNative(this.getCurrentPC(), this.executionCount + position - before, null);
+            if (this.history.position === before) {
+              this.singleStep(this.getCurrentPC());
+              this.executionCount++;
+            }
+          }
+        } finally {
+          this.activeWatchpoints = watchpoints;
+          this.fastRunning = false;
+        }
+        this.currentAddress = this.getCurrentPC();
+        return true;
+      }
+      
+      // Step Back: undo the last instruction, whether it was stepped or part of a Run
+      stepBack() {
+        if (this.history.position <= this.history.oldestPosition) {
+          this.reportBreakpointMessage('Step Back: no earlier instruction recorded');
+          return;
+        }
+        this.reverseExecute('Step Back', () => {
+          this.rewindTo(this.history.position - 1);
+        });
+      }
+      
+      /**
+       * Reverse Continue: goes back to the last time execution stood at an enabled
+       * breakpoint whose condition held, or to the start of the recorded history.
+       * Ignore counts and logpoints only apply when running forward.
+       */
+      reverseContinue() {
+        this.reverseExecute('Reverse Continue', () => {
+          let before = this.history.position;
+          for (;;) {
+            const position = this.history.findPrevious(before, address => {
+              const breakpoint = this.userBreakpoints.get(address);
+              return breakpoint !== undefined && breakpoint.enabled && !breakpoint.logMessage;
+            });
+            if (position === null) {
+              this.rewindTo(this.history.oldestPosition);
+              return 'reached the start of the recorded history at';
+            }
+            this.rewindTo(position);
+            const condition = this.userBreakpoints.get(this.getCurrentPC()).condition;
+            try {
+              if (!condition || condition.test(this.expressionContext())) {
+                return 'stopped at breakpoint';
+              }
+            } catch(e) {
+              return `stopped at breakpoint whose condition failed (${e.message}):`;
+            }
+            before = position;
+          }
+        });
+      }
+      
+      // Runs a reverse command and shows where it left the program
+      reverseExecute(name, rewind) {
+        if (this.isRunning) {
+          return;
+        }
+        let outcome;
+        try {
+          outcome = rewind();
+        } catch(e) {
+          const pc = this.getCurrentPC();
+          this.handleExecutionError(e, pc, this.describeInstruction(pc), `${name} failed`);
+          return;
+        }
+        const pc = this.getCurrentPC();
+        const where = `0x${pc.toString(16)} in ${this.functionContaining(pc)}(): ${this.describeInstruction(pc)}`;
+        this.reportBreakpointMessage(`${name} ${outcome || 'to'} ${where} (instruction ${this.history.position})`);
+        this.isPaused = true;
+        this.updateButtonStates();
+        this.refreshRunDisplay(true);
+        if (!window.isPerformanceModeActive) {
+          this.updateExecutionTrace();
+        }
+      }
+      
+      /**
+       * Step Over: a `call` runs until execution is back at the next instruction with
+       * the stack pointer where it is now, so recursion returning to the same address
+       * deeper down the stack does not stop it. Any other instruction is a plain step.
+       */
+      stepOver() {
+        const pc = this.getCurrentPC();
+        if (!/^call/.test(this.describeInstruction(pc))) {
+          this.stepInstruction();
+          return;
+        }
+        this.runUntilHalt({
+          name: 'Step Over',
+          address: pc + this.instructionLength(pc),
+          minStackPointer: this.stackPointerValue()
+        });
+      }
+      
+      // Step Out: runs until the current function returns to its caller, see getCallStack()
+      stepOut() {
+        const frame = this.getCallStack()[0];
+        if (frame.returnAddress === null) {
+          this.reportBreakpointMessage(`Step Out: no return address at 0x${frame.returnSlot.toString(16)}`);
+          return;
+        }
+        const pointerSize = BigInt(this.is64bit ? 8 : 4);
+        this.runUntilHalt({ name: 'Step Out', address: frame.returnAddress, minStackPointer: frame.returnSlot + pointerSize });
+      }
+      
+      /**
+       * Backtrace along the RBP frame chain. TinyCC sets up an RBP frame in every function,
+       * so a frame's saved RBP and return address sit at [RBP] and [RBP+8]. Only the
+       * innermost frame can be caught without one - before `mov rbp, rsp` in the prologue
+       * or at the final `ret` - and there RSP locates them instead. The walk ends at a
+       * return address outside any known function (the exit stub main returns to) or at
+       * a saved RBP that does not lead further up the stack.
+       *
+       * @param {Object} [machine] - readRegister(name) and readMemory(address, size) as for
+       *   debug expressions; the live machine by default, the timeline passes a past state
+       * @returns {Array<Object>} Innermost frame first: { name, pc, frameBase, returnSlot,
+       *   returnAddress (null if unreadable), stackTop }. Addresses on the stack are BigInt;
+       *   the frame occupies stackTop up to and including its return address slot.
+       */
+      getCallStack(machine = this.expressionContext()) {
+        const pointerSize = this.is64bit ? 8 : 4;
+        const word = BigInt(pointerSize);
+        const register = name => BigInt.asUintN(pointerSize * 8, machine.readRegister((this.is64bit ? 'R' : 'E') + name));
+        const readPointer = address => this.fromBytes(machine.readMemory(Number(address), pointerSize));
+        
+        let pc = Number(register('IP'));
+        let stackTop = register('SP');
+        let slot;
+        let callerBase;
+        const bounds = this.functionBoundsAt(pc);
+        if ((bounds && pc === bounds.start) || /^ret/.test(this.describeInstruction(pc))) {
+          slot = stackTop;
+          callerBase = register('BP');
+        } else if (bounds && pc === bounds.start + 1 && /^push [er]bp$/.test(this.describeInstruction(bounds.start))) {
+          slot = stackTop + word;
+          callerBase = register('BP');
+        } else {
+          slot = register('BP') + word;
+          callerBase = null; // Saved at [RBP], read below
+        }
+        
+        const frames = [];
+        while (frames.length < UnicornDebugger.MAX_CALL_STACK_FRAMES) {
+          let returnAddress = null;
+          try {
+            returnAddress = Number(readPointer(slot));
+            if (callerBase === null) {
+              callerBase = readPointer(slot - word);
+            }
+          } catch(e) {
+            // Not a frame after all; it still ends the backtrace
+          }
+          frames.push({ name: this.functionContaining(pc), pc, frameBase: slot - word, returnSlot: slot, returnAddress, stackTop });
+          if (returnAddress === null || callerBase === null || callerBase <= slot ||
+              this.functionContaining(returnAddress) === 'unknown') {
+            break;
+          }
+          pc = returnAddress;
+          stackTop = slot + word;
+          slot = callerBase + word;
+          callerBase = null;
+        }
+        return frames;
+      }
+      
+      /**
+       * Run to Cursor: runs until an instruction or the first instruction of a C line.
+       * @param {Object} cursor - { address } from the assembly view or { line } from the editor
+       */
+      runToCursor(cursor) {
+        const address = cursor.address !== undefined ? cursor.address : this.resolveSourceLine(cursor.line);
+        if (address === null) {
+          this.reportBreakpointMessage(`Run to Cursor: no instructions found for C line ${cursor.line}`);
+          return;
+        }
+        this.runUntilHalt({ name: 'Run to Cursor', address, minStackPointer: null });
+      }
+      
+      // The run target counts once its address is reached in the right frame: at or above
+      // minStackPointer, where the frame that asked for it lives
+      reachedRunTarget(pc) {
+        const target = this.runTarget;
+        return target !== null && pc === target.address &&
+          (target.minStackPointer === null || this.stackPointerValue() >= target.minStackPointer);
+      }
+      
+      handleRunTargetReached(pc) {
+        const target = this.runTarget;
+        this.runTarget = null;
+        this.isPaused = true;
+        this.isRunning = false;
+        const message = `${target.name} stopped at 0x${pc.toString(16)} in ${this.functionContaining(pc)}(): ${this.describeInstruction(pc)}`;
+        console.log(message);
+        if (!window.isPerformanceModeActive) {
+          document.getElementById('emuOutput').textContent += `\n${message}\n`;
+        }
+      }
+      
+      stackPointerValue() {
+        return this.readRegisterValue(this.is64bit ? 'RSP' : 'ESP');
+      }
+      
+      instructionLength(address) {
+        const instructions = this.disasm.disasm(this.engine.mem_read(address, 16), address, 1);
+        if (instructions.length === 0) {
+          throw new Error(`UC_ERR_INSN_INVALID: cannot decode instruction at 0x${address.toString(16)}`);
+        }
+        return instructions[0].size;
+      }
+      
+      /**
+       * Decodes the instructions of a translation block once and caches them.
+       * `needsHooks` marks blocks that have to be single-stepped because HOOK_CODE
+       * emulates something in them: `syscall`, `hlt`, an interrupt (`int 0x80` or one
+       * that has to stop the run) or a call into a libc stub.
+       * `depthChange` is the block's calls minus returns, for the trace's call depth.
+       */
+      analyzeBlock(address, size) {
+        let block = this.blockInfo.get(address);
+        if (block && block.size === size) {
+          return block;
+        }
+        
+        // Runs inside a Unicorn callback, so it must not throw: a block Capstone cannot decode is
+        // single-stepped instead, and that step reports the invalid instruction
+        const instructions = this.disasm.disasm(this.engine.mem_read(address, size), address);
+        block = {
+          size,
+          addresses: instructions.map(insn => insn.address),
+          needsHooks: instructions.length === 0 || instructions.some(insn =>
+            UnicornDebugger.HOOKED_MNEMONICS.includes(insn.mnemonic) || (this.libc && this.libc.isStub(insn.address))),
+          depthChange: instructions.reduce((change, insn) =>
+            change + (/^call/.test(insn.mnemonic) ? 1 : /^ret/.test(insn.mnemonic) ? -1 : 0), 0)
+        };
+        this.blockInfo.set(address, block);
+        return block;
+      }
+      
+      // Redraw registers, stack and highlighting - throttled while a fast run is in progress
+      refreshRunDisplay(force) {
+        const now = Date.now();
+        if (window.isPerformanceModeActive || (!force && now - this.lastRunRefresh < UnicornDebugger.RUN_REFRESH_INTERVAL)) {
+          return;
+        }
+        this.lastRunRefresh = now;
+        this.updateUI();
+        this.highlightCurrentLine();
+        this.highlightCFunction(this.getCurrentPC());
+      }
+      
+      describeInstruction(address) {
+        try {
+          const instructions = this.disasm.disasm(this.engine.mem_read(address, 16), address, 1);
+          return instructions.length > 0 ? `${instructions[0].mnemonic} ${instructions[0].op_str}` : '(unknown)';
+        } catch(e) {
+          return '(unreadable)';
+        }
+      }
+      
+      /**
+       * Ends a Run that used up its instruction budget. The program has not finished -
+       * it is paused where the budget ran out and can be stepped or run further - so
+       * this is recorded in budgetExhausted rather than as a termination.
+       */
+      handleBudgetExhausted() {
+        const address = this.getCurrentPC();
+        this.budgetExhausted = {
+          budget: this.maxInstructions,
+          instructions: this.executionCount,
+          address
+        };
+        this.isRunning = false;
+        this.isPaused = true;
+        
+        const message = `Instruction budget exhausted: ${this.executionCount} instructions executed, ` +
+          `paused at 0x${address.toString(16)} (C function ${this.functionNameAt(address)})`;
+        console.log(message);
+        if (!window.isPerformanceModeActive) {
+          document.getElementById('emuOutput').textContent += `\n${message}. Run again to continue.\n`;
+        }
+        this.updateButtonStates();
+        this.refreshRunDisplay(true);
+      }
+      
+      stopExecution() {
+        this.isRunning = false;
+        this.isPaused = true;
+        console.log(`Execution stopped after ${this.executionCount} instructions`);
+        if (!window.isPerformanceModeActive) {
+          document.getElementById('emuOutput').textContent += `\nExecution stopped. Instructions executed: ${this.executionCount}\n`;
+        }
+        this.updateButtonStates();
+        this.refreshRunDisplay(true);
+      }
+      
+      isHaltInstruction(address) {
+        try {
+          const instrBytes = this.engine.mem_read(address, 16);
+          const instructions = this.disasm.disasm(instrBytes, address, 1);
+          if (instructions.length > 0) {
+            const mnemonic = instructions[0].mnemonic.toLowerCase();
+            return mnemonic === 'hlt';
+          }
+        } catch(e) {
+          // If we can't read the instruction, assume it's not halt
+          return false;
+        }
+        return false;
+      }
+      
+      updateButtonStates() {
+        const runBtn = document.getElementById('runBtn');
+        const stopBtn = document.getElementById('stopBtn');
+        const resetBtn = document.getElementById('resetBtn');
+        // Step, Step Over, Step Out and Run to Cursor are all unavailable while running
+        const stepButtons = UnicornDebugger.STEP_BUTTON_IDS.map(id => document.getElementById(id)).filter(Boolean);
+        
+        const fabRun = document.querySelector('.fab-run');
+        const fabStop = document.querySelector('.fab-stop');
+        const fabSteps = document.querySelectorAll('.fab-step, .fab-step-over, .fab-step-out, .fab-run-cursor');
+        
+        if (!window.isPerformanceModeActive) {
+          if (this.isRunning) {
+            // During execution: hide run, show stop, disable step/reset
+            if (runBtn) { runBtn.style.display = 'none'; }
+            if (stopBtn) { stopBtn.style.display = 'inline-block'; stopBtn.disabled = false; }
+            stepButtons.forEach(button => { button.disabled = true; });
+            if (resetBtn) { resetBtn.disabled = true; }
+            
+            if (fabRun) { fabRun.style.display = 'none'; }
+            if (fabStop) { fabStop.style.display = 'block'; fabStop.disabled = false; }
+            fabSteps.forEach(fab => { fab.disabled = true; fab.style.opacity = '0.5'; });
+          } else {
+            // When stopped: show run, hide stop, enable step/reset
+            if (runBtn) { runBtn.style.display = 'inline-block'; runBtn.disabled = false; }
+            if (stopBtn) { stopBtn.style.display = 'none'; }
+            stepButtons.forEach(button => { button.disabled = false; });
+            if (resetBtn) { resetBtn.disabled = false; }
+            
+            if (fabRun) { fabRun.style.display = 'block'; fabRun.disabled = false; }
+            if (fabStop) { fabStop.style.display = 'none'; }
+            fabSteps.forEach(fab => { fab.disabled = false; fab.style.opacity = '1'; });
+          }
+        }
+      }
+      
+      reset() {
+        this.currentAddress = this.entryPoint;
+        this.trace.clear();
+        this.isRunning = false;
+        this.isPaused = false;
+        this.executionCount = 0;
+        this.termination = null;
+        this.accessViolation = null;
+        this.budgetExhausted = null;
+        this.history.clear();
+        
+        if (this.syscalls) {
+          this.syscalls.reset();
+        }
+        if (this.libc) {
+          this.libc.reset();
+        }
+        
+        if (this.is64bit) {
+          this.engine.reg_write_i64(UnicornModule.X86_REG_RIP, this.entryPoint);
+        } else {
+          this.engine.reg_write_i32(UnicornModule.X86_REG_EIP, this.entryPoint);
+        }
+        
+        this.updateButtonStates();
+        this.updateUI();
+        if (!window.isPerformanceModeActive) {
+          document.getElementById('emuOutput').textContent = 'Debugger reset.\n';
+          document.getElementById('stepAnalysisOutput').textContent = '';
         }
       }
       
@@ -371,7 +1125,7 @@
         
         for (const reg in postRegs) {
           if (preRegs[reg] !== postRegs[reg]) {
-            changedRegs.push(`${reg}: 0x${preRegs[reg].toString(16)} → 0x${postRegs[reg].toString(16)}`);
+            changedRegs.push(`${reg}: ${this.formatRegisterValue(reg, preRegs[reg])} → ${this.formatRegisterValue(reg, postRegs[reg])}`);
           }
         }
         
@@ -386,7 +1140,7 @@
         
         for (let i = 0; i < Math.min(preStack.length, postStack.length, 3); i++) {
           if (preStack[i] && postStack[i] && preStack[i].value !== postStack[i].value) {
-            stackChanges.push(`[${postStack[i].address}]: 0x${preStack[i].value.toString(16)} → 0x${postStack[i].value.toString(16)}`);
+            stackChanges.push(`[0x${postStack[i].address.toString(16)}]: 0x${preStack[i].value.toString(16)} → 0x${postStack[i].value.toString(16)}`);
           }
         }
         
@@ -399,59 +1153,100 @@
         stepOutput.scrollTop = stepOutput.scrollHeight;
       }
       
+      /**
+       * The instruction pointer, read in full (reg_read_i64 only returns the low 32 bits).
+       * Unlike register, stack and return values it is a Number: code addresses key
+       * userBreakpoints, lineMapping and the disassembly, and are passed straight to
+       * emu_start, mem_read and Capstone, which all take Numbers. Every mapped address
+       * is far below 2^53, so the conversion is exact.
+       */
       getCurrentPC() {
-        return this.is64bit ? 
-          this.engine.reg_read_i64(UnicornModule.X86_REG_RIP) :
-          this.engine.reg_read_i32(UnicornModule.X86_REG_EIP);
+        return Number(this.readRegisterValue(this.is64bit ? 'RIP' : 'EIP'));
       }
       
+      /**
+       * The whole register file by name, in display order: general purpose registers with
+       * RIP and RFLAGS, segment selectors (and FS/GS base in 64-bit code), XMM0-15 (XMM0-7
+       * in 32-bit code) and the x87 stack ST0-ST7. Values are full-width unsigned BigInts;
+       * an empty x87 slot is null.
+       */
       getAllRegisters() {
+        const registers = {};
+        const general = this.is64bit ? UnicornDebugger.GENERAL_REGISTERS_64 : UnicornDebugger.GENERAL_REGISTERS_32;
+        general.concat(UnicornDebugger.SEGMENT_REGISTERS).forEach(name => {
+          registers[name] = this.readRegisterValue(name);
+        });
         if (this.is64bit) {
-          return {
-            RAX: this.engine.reg_read_i64(UnicornModule.X86_REG_RAX),
-            RBX: this.engine.reg_read_i64(UnicornModule.X86_REG_RBX),
-            RCX: this.engine.reg_read_i64(UnicornModule.X86_REG_RCX),
-            RDX: this.engine.reg_read_i64(UnicornModule.X86_REG_RDX),
-            RSI: this.engine.reg_read_i64(UnicornModule.X86_REG_RSI),
-            RDI: this.engine.reg_read_i64(UnicornModule.X86_REG_RDI),
-            RBP: this.engine.reg_read_i64(UnicornModule.X86_REG_RBP),
-            RSP: this.engine.reg_read_i64(UnicornModule.X86_REG_RSP),
-            RIP: this.engine.reg_read_i64(UnicornModule.X86_REG_RIP),
-            RFLAGS: this.engine.reg_read_i64(UnicornModule.X86_REG_EFLAGS)
-          };
-        } else {
-          return {
-            EAX: this.engine.reg_read_i32(UnicornModule.X86_REG_EAX),
-            EBX: this.engine.reg_read_i32(UnicornModule.X86_REG_EBX),
-            ECX: this.engine.reg_read_i32(UnicornModule.X86_REG_ECX),
-            EDX: this.engine.reg_read_i32(UnicornModule.X86_REG_EDX),
-            ESI: this.engine.reg_read_i32(UnicornModule.X86_REG_ESI),
-            EDI: this.engine.reg_read_i32(UnicornModule.X86_REG_EDI),
-            EBP: this.engine.reg_read_i32(UnicornModule.X86_REG_EBP),
-            ESP: this.engine.reg_read_i32(UnicornModule.X86_REG_ESP),
-            EIP: this.engine.reg_read_i32(UnicornModule.X86_REG_EIP),
-            EFLAGS: this.engine.reg_read_i32(UnicornModule.X86_REG_EFLAGS)
-          };
+          // This Unicorn.js build has no FS_BASE/GS_BASE register ids, and nothing a program can
+          // run here changes them (wrfsbase is an invalid instruction, arch_prctl is not emulated)
+          registers.FS_BASE = 0n;
+          registers.GS_BASE = 0n;
+        }
+        for (let i = 0; i < (this.is64bit ? 16 : 8); i++) {
+          registers[`XMM${i}`] = this.readRegisterValue(`XMM${i}`);
+        }
+        
+        // ST0-ST7 are not readable by name; ST(i) is physical register FP((TOP + i) mod 8),
+        // and the tag word marks empty ones with 0b11
+        const top = (Number(this.readRegisterValue('FPSW')) >> 11) & 7;
+        const tags = Number(this.readRegisterValue('FPTAG'));
+        for (let i = 0; i < 8; i++) {
+          const physical = (top + i) & 7;
+          registers[`ST${i}`] = ((tags >> (physical * 2)) & 3) === 3 ? null : this.readRegisterValue(`FP${physical}`);
         }
+        return registers;
+      }
+      
+      // Bytes in a register: XMM 16, x87 10, segment selectors and x87 control words 2
+      registerWidth(name) {
+        if (/^XMM/.test(name)) {
+          return 16;
+        }
+        if (/^(ST|FP)\d$/.test(name)) {
+          return 10;
+        }
+        if (/^([CDEFGS]S|FPSW|FPCW|FPTAG)$/.test(name)) {
+          return 2;
+        }
+        return DebugExpression.registerSize(name) || (this.is64bit ? 8 : 4);
+      }
+      
+      formatRegisterValue(name, value) {
+        if (value === null) {
+          return 'empty';
+        }
+        const hex = `0x${value.toString(16).padStart(this.registerWidth(name) * 2, '0')}`;
+        return /^ST\d$/.test(name) ? `${this.extendedToNumber(value)} (${hex})` : hex;
+      }
+      
+      // x87 80-bit extended precision (sign, 15-bit exponent, 64-bit mantissa with explicit integer bit) as a double
+      extendedToNumber(value) {
+        const mantissa = value & 0xffffffffffffffffn;
+        const exponent = Number((value >> 64n) & 0x7fffn);
+        const sign = (value >> 79n) & 1n ? -1 : 1;
+        if (exponent === 0x7fff) {
+          return mantissa << 1n === 0n ? sign * Infinity : NaN;
+        }
+        return sign * Number(mantissa) * Math.pow(2, exponent - 16383 - 63);
+      }
+      
+      // float and double lanes of an XMM register, lowest first
+      formatVectorLanes(value) {
+        const view = new DataView(this.toBytes(value, 16).buffer);
+        const floats = [0, 4, 8, 12].map(offset => view.getFloat32(offset, true));
+        const doubles = [0, 8].map(offset => view.getFloat64(offset, true));
+        return `f32 ${floats.join(', ')} | f64 ${doubles.join(', ')}`;
       }
       
       getStackContents(count = 16) {
-        const sp = this.is64bit ? 
-          this.engine.reg_read_i64(UnicornModule.X86_REG_RSP) :
-          this.engine.reg_read_i32(UnicornModule.X86_REG_ESP);
-        
+        const sp = Number(this.readRegisterValue(this.is64bit ? 'RSP' : 'ESP'));
         const stackData = [];
         const wordSize = this.is64bit ? 8 : 4;
         
         for (let i = 0; i < count; i++) {
           try {
             const addr = sp + (i * wordSize);
-            const bytes = this.engine.mem_read(addr, wordSize);
-            let value = 0;
-            for (let j = 0; j < wordSize; j++) {
-              value |= bytes[j] << (j * 8);
-            }
-            stackData.push({ address: addr, value: value });
+            stackData.push({ address: addr, value: this.fromBytes(this.engine.mem_read(addr, wordSize)) });
           } catch (e) {
             break;
           }
@@ -460,135 +1255,1510 @@
       }
       
       
-      logToExecutionTrace(address) {
+      logDebugState(address, instruction) {
         try {
-          const instrBytes = this.engine.mem_read(address, 16);
-          const instructions = this.disasm.disasm(instrBytes, address, 1);
-          if (instructions.length > 0) {
-            const insn = instructions[0];
-            
-            // Store instruction info to log AFTER execution
-            this.pendingTrace = {
-              address: address,
-              mnemonic: insn.mnemonic,
-              operands: insn.op_str
-            };
+          const registers = this.getAllRegisters();
+          const stack = this.getStackContents(8); // Get top 8 stack items
+          
+          console.group(`🔍 DEBUG STATE - After executing: ${instruction} at 0x${address.toString(16)}`);
+          
+          // Log registers
+          console.log('📊 REGISTERS:');
+          Object.entries(registers).forEach(([name, value]) => {
+            console.log(`  ${name}: ${this.formatRegisterValue(name, value)}`);
+          });
+          
+          // Log stack
+          console.log('📚 STACK (top 8 items):');
+          if (stack.length > 0) {
+            stack.forEach((item, index) => {
+              const hexAddr = item.address.toString(16).padStart(this.is64bit ? 16 : 8, '0');
+              console.log(`  [${index}] 0x${hexAddr}: ${this.formatValue(item.value, this.is64bit ? 8 : 4)}`);
+            });
+          } else {
+            console.log('  (Stack appears empty or unreadable)');
           }
+          
+          console.groupEnd();
         } catch(e) {
-          // Silently fail to avoid flooding console during execution
+          console.log('Failed to log debug state:', e.message);
         }
       }
       
-      logExecutedInstruction() {
-        if (this.pendingTrace) {
-          try {
-            // Get RAX value AFTER instruction execution
-            const rax = this.is64bit ? 
-              this.engine.reg_read_i64(UnicornModule.X86_REG_RAX) :
-              this.engine.reg_read_i32(UnicornModule.X86_REG_EAX);
-            
-            const trace = `0x${this.pendingTrace.address.toString(16).padStart(8, '0')}: ${this.pendingTrace.mnemonic.padEnd(8)} ${this.pendingTrace.operands.padEnd(20)} [RAX=0x${rax.toString(16)}]`;
-            
-            // Add to execution trace array
-            if (!this.executionTrace) this.executionTrace = [];
-            this.executionTrace.push(trace);
-            
-            // Update UI
-            this.updateExecutionTrace();
-            this.pendingTrace = null;
-          } catch(e) {
-            // Silently fail to avoid flooding console during execution
+      addBreakpoint(address) {
+        this.breakpoints.add(address);
+        console.log(`Breakpoint added at 0x${address.toString(16)}`);
+      }
+      
+      /**
+       * Sets or clears a user breakpoint, as clicking an instruction in the assembly view
+       * does. User breakpoints are kept in userBreakpoints so the list panel can disable
+       * one without losing it; only enabled ones are in the `breakpoints` set.
+       */
+      toggleBreakpoint(address) {
+        if (this.userBreakpoints.has(address)) {
+          this.removeBreakpoint(address);
+          return;
+        }
+        this.createUserBreakpoint(address);
+        this.refreshBreakpointViews();
+      }
+      
+      createUserBreakpoint(address) {
+        const breakpoint = {
+          address,
+          enabled: true,
+          hits: 0,               // Times reached with the condition true
+          sourceLines: new Set(), // C lines from the editor gutter that resolved here
+          condition: null,       // DebugExpression; stop only while it is non-zero
+          ignoreCount: 0,        // Hits to let pass before stopping
+          logMessage: null       // { text, parts } - print and continue instead of stopping
+        };
+        this.userBreakpoints.set(address, breakpoint);
+        this.addBreakpoint(address);
+        return breakpoint;
+      }
+      
+      /**
+       * Changes what a breakpoint does once reached. Expressions are parsed before
+       * anything is changed, so a typo leaves the breakpoint as it was.
+       * @param {Object} options - { condition, ignoreCount, logMessage }; empty strings clear
+       * @throws {Error} If the condition or a `{expression}` in the log message does not parse
+       */
+      configureBreakpoint(address, options) {
+        const breakpoint = this.userBreakpoints.get(address);
+        if (!breakpoint) {
+          return;
+        }
+        const updates = {};
+        if ('condition' in options) {
+          const text = options.condition.trim();
+          updates.condition = text ? DebugExpression.parse(text) : null;
+        }
+        if ('ignoreCount' in options) {
+          const count = parseInt(options.ignoreCount, 10);
+          updates.ignoreCount = count > 0 ? count : 0;
+        }
+        if ('logMessage' in options) {
+          const text = options.logMessage.trim();
+          updates.logMessage = text ? { text, parts: DebugExpression.parseTemplate(text) } : null;
+        }
+        Object.assign(breakpoint, updates);
+        this.refreshBreakpointViews();
+      }
+      
+      /**
+       * Called when execution reaches an enabled breakpoint. Counts the hit if the
+       * condition holds, lets the first ignoreCount hits pass, and prints a logpoint's
+       * message instead of stopping. A condition that cannot be evaluated stops, so
+       * the error is seen where it happened.
+       */
+      shouldStopAtBreakpoint(address) {
+        const breakpoint = this.userBreakpoints.get(address);
+        if (!breakpoint) {
+          return true; // Internal breakpoint such as the exit HLT
+        }
+        const machine = this.expressionContext();
+        try {
+          if (breakpoint.condition && !breakpoint.condition.test(machine)) {
+            return false;
+          }
+        } catch(e) {
+          this.reportBreakpointMessage(`Breakpoint condition '${breakpoint.condition}' at 0x${address.toString(16)} failed: ${e.message || e}`);
+          return true;
+        }
+        
+        breakpoint.hits++;
+        if (breakpoint.hits <= breakpoint.ignoreCount) {
+          return false;
+        }
+        if (breakpoint.logMessage) {
+          let text;
+          try {
+            text = DebugExpression.formatTemplate(breakpoint.logMessage.parts, machine);
+          } catch(e) {
+            text = `${breakpoint.logMessage.text} (${e.message || e})`;
+          }
+          this.reportBreakpointMessage(`Log 0x${address.toString(16)}: ${text}`);
+          return false;
+        }
+        return true;
+      }
+      
+      reportBreakpointMessage(message) {
+        console.log(message);
+        if (!window.isPerformanceModeActive) {
+          document.getElementById('emuOutput').textContent += `${message}\n`;
+        }
+      }
+      
+      // Registers, memory and global names as debug expressions see them
+      expressionContext() {
+        return {
+          readRegister: name => this.readRegisterValue(name),
+          lookupSymbol: name => {
+            if (this.dataSymbols.has(name)) {
+              return this.dataSymbols.get(name).address;
+            }
+            if (this.functionBoundaries.has(name)) {
+              return this.functionBoundaries.get(name).start;
+            }
+            throw new Error(`unknown variable '${name}'`);
+          },
+          readMemory: (address, size) => {
+            try {
+              return this.engine.mem_read(address, size);
+            } catch(e) {
+              throw new Error(`cannot read ${size} bytes at 0x${address.toString(16)}`);
+            }
+          }
+        };
+      }
+      
+      /**
+       * Full-width register value. reg_read_i64 only returns the low 32 bits, so the
+       * raw register bytes are read instead, registerWidth() of them so XMM and x87
+       * registers come out whole.
+       * @returns {bigint} Unsigned value
+       */
+      readRegisterValue(name) {
+        const regId = UnicornModule[`X86_REG_${name === 'RFLAGS' ? 'EFLAGS' : name}`];
+        if (regId === undefined || (!this.is64bit && DebugExpression.registerSize(name) === 8)) {
+          throw new Error(`${name} is not available in ${this.is64bit ? '64' : '32'}-bit code`);
+        }
+        return this.fromBytes(this.engine.reg_read(regId, this.registerWidth(name)));
+      }
+      
+      /**
+       * Sets a register while paused. `text` is a debug expression evaluated against the
+       * current state, so `0`, `-1`, `0x10` and `RBX + 8` all work; the result is cut to
+       * the register's width. The edit is logged in the step analysis.
+       * @throws {Error} If the debugger is running, the text does not evaluate, or the
+       *   register cannot be written (ST0-ST7 and the FS/GS base have no register id)
+       */
+      editRegister(name, text) {
+        this.checkEditable();
+        const regId = UnicornModule[`X86_REG_${name === 'RFLAGS' ? 'EFLAGS' : name}`];
+        if (regId === undefined || /^ST\d$/.test(name)) {
+          throw new Error(`${name} cannot be edited`);
+        }
+        const width = this.registerWidth(name);
+        const value = BigInt.asUintN(width * 8, DebugExpression.parse(text).evaluate(this.expressionContext()));
+        const before = this.readRegisterValue(name);
+        this.engine.reg_write(regId, this.toBytes(value, width));
+        // The trace only sees registers change through its entries; restart its reconstruction here
+        this.trace.recordUntraced(0);
+        
+        this.logEdit(`${name}: ${this.formatRegisterValue(name, before)} → ${this.formatRegisterValue(name, value)}`);
+        this.updateUI();
+        if (/^[RE]IP$/.test(name)) {
+          this.currentAddress = this.getCurrentPC();
+          this.highlightCurrentLine();
+          this.highlightCFunction(this.currentAddress);
+        }
+      }
+      
+      /**
+       * Writes `size` bytes of memory while paused, little-endian like the stack view shows
+       * them. `text` is evaluated as in editRegister(). The write goes through mem_write, so
+       * the execution history and trace can undo it when stepping back past it.
+       * @throws {Error} If the debugger is running, the text does not evaluate or the address is not mapped
+       */
+      editMemory(address, size, text) {
+        this.checkEditable();
+        const value = BigInt.asUintN(size * 8, DebugExpression.parse(text).evaluate(this.expressionContext()));
+        let before;
+        try {
+          before = this.engine.mem_read(address, size);
+        } catch(e) {
+          throw new Error(`cannot write ${size} bytes at 0x${address.toString(16)}`);
+        }
+        this.engine.mem_write(address, this.toBytes(value, size));
+        this.logEdit(`[0x${address.toString(16)}]: ${this.formatWatchedValue(before)} → ${this.formatWatchedValue(this.toBytes(value, size))}`);
+        this.updateUI();
+      }
+      
+      // Edits change the live state, which only exists while paused on it
+      checkEditable() {
+        if (this.isRunning) {
+          throw new Error('pause the program before editing');
+        }
+        if (this.timelineIndex !== null) {
+          throw new Error('go back to the live state on the timeline before editing');
+        }
+      }
+      
+      // Little-endian bytes of an unsigned value
+      toBytes(value, size) {
+        return Uint8Array.from({ length: size }, (_, i) => Number((value >> BigInt(i * 8)) & 0xffn));
+      }
+      
+      // Unsigned value of little-endian bytes; registers, stack words and memory all go through here
+      fromBytes(bytes) {
+        let value = 0n;
+        for (let i = bytes.length - 1; i >= 0; i--) {
+          value = (value << 8n) | BigInt(bytes[i]);
+        }
+        return value;
+      }
+      
+      /**
+       * A `size`-byte value as padded hex plus its unsigned and signed decimal readings,
+       * e.g. `0xffffffff (unsigned 4294967295, signed -1)`.
+       * @param {bigint} value - Any BigInt; only its low `size` bytes are shown
+       */
+      formatValue(value, size) {
+        const unsigned = BigInt.asUintN(size * 8, value);
+        const signed = BigInt.asIntN(size * 8, value);
+        const decimal = unsigned === signed ? `${unsigned}` : `unsigned ${unsigned}, signed ${signed}`;
+        return `0x${unsigned.toString(16).padStart(size * 2, '0')} (${decimal})`;
+      }
+      
+      // What main() returned: its int in EAX, sign-extended
+      readReturnValue() {
+        return BigInt.asIntN(32, this.readRegisterValue(this.is64bit ? 'RAX' : 'EAX'));
+      }
+      
+      logEdit(change) {
+        console.log(`Edited ${change}`);
+        if (window.isPerformanceModeActive) {
+          return;
+        }
+        const stepOutput = document.getElementById('stepAnalysisOutput');
+        stepOutput.textContent += `EDIT at 0x${this.getCurrentPC().toString(16).padStart(8, '0')}: ${change}\n\n`;
+        stepOutput.scrollTop = stepOutput.scrollHeight;
+      }
+      
+      /**
+       * Adds a data breakpoint. The target is evaluated once, now: a variable name watches
+       * the whole variable, `[RBP-0x8]` or `qword [RSP]` the memory operand, and any
+       * other expression (`RBP-0x8`, `0x10201000`) an address.
+       * @param {string} target - Debug expression naming the memory to watch
+       * @param {Object} [options] - { size, access: 'write' | 'read' | 'access', onChange }
+       * @throws {Error} If the target does not parse or is not mapped memory
+       */
+      addWatchpoint(target, options = {}) {
+        const expression = DebugExpression.parse(target);
+        const machine = this.expressionContext();
+        let address;
+        let size = DebugExpression.DEFAULT_MEMORY_SIZE;
+        if (expression.tree.type === 'memory') {
+          address = DebugExpression.evaluateNode(expression.tree.address, machine);
+          size = expression.tree.size;
+        } else {
+          address = expression.evaluate(machine);
+          const symbol = expression.tree.type === 'symbol' ? this.dataSymbols.get(expression.tree.name) : null;
+          if (symbol && symbol.size > 0) {
+            size = symbol.size;
+          }
+        }
+        address = Number(BigInt.asUintN(64, address));
+        size = options.size || size;
+        try {
+          this.engine.mem_read(address, size);
+        } catch(e) {
+          throw new Error(`${size} bytes at 0x${address.toString(16)} are not mapped`);
+        }
+        
+        const watchpoint = {
+          id: this.nextWatchpointId++,
+          label: expression.source,
+          address,
+          size,
+          access: options.access || 'write',
+          onChange: !!options.onChange, // Writes only count when they change the value
+          enabled: true,
+          hits: 0
+        };
+        this.watchpoints.push(watchpoint);
+        this.refreshWatchpoints();
+        console.log(`Watchpoint ${watchpoint.id} on ${watchpoint.label}: ${size} byte${size === 1 ? '' : 's'} at 0x${address.toString(16)}`);
+        return watchpoint;
+      }
+      
+      setWatchpointEnabled(id, enabled) {
+        const watchpoint = this.watchpoints.find(wp => wp.id === id);
+        if (watchpoint) {
+          watchpoint.enabled = enabled;
+          this.refreshWatchpoints();
+        }
+      }
+      
+      removeWatchpoint(id) {
+        this.watchpoints = this.watchpoints.filter(wp => wp.id !== id);
+        this.refreshWatchpoints();
+      }
+      
+      refreshWatchpoints() {
+        this.activeWatchpoints = this.watchpoints.filter(wp => wp.enabled);
+        if (!window.isPerformanceModeActive) {
+          this.updateWatchpointList();
+        }
+      }
+      
+      /**
+       * Memory hook side of watchpoints: records the first watched access of the current
+       * instruction together with the watched bytes before it. In a native run the block
+       * cannot be stopped after the instruction, so emulation stops at the access and
+       * runBatch() re-executes the instruction (see abortNativeInstruction()).
+       * Runs inside a Unicorn callback, so it must not throw.
+       */
+      checkWatchpoints(type, address, size, valueLow, valueHigh) {
+        if (this.pendingWatchHit) {
+          return;
+        }
+        const isWrite = type === UnicornModule.MEM_WRITE;
+        try {
+          const watchpoint = this.activeWatchpoints.find(wp =>
+            (wp.access === 'access' || (wp.access === 'write') === isWrite) &&
+            address < wp.address + wp.size && wp.address < address + size &&
+            !(isWrite && wp.onChange && !this.writeChangesWatchpoint(wp, address, size, valueLow, valueHigh)));
+          if (!watchpoint) {
+            return;
+          }
+          const hit = {
+            watchpoint,
+            type: isWrite ? 'write' : 'read',
+            pc: this.getCurrentPC(),
+            oldBytes: this.engine.mem_read(watchpoint.address, watchpoint.size),
+            undo: isWrite ? { address, bytes: this.engine.mem_read(address, size) } : null
+          };
+          this.pendingWatchHit = hit;
+          if (this.nativeRun) {
+            this.nativeRun.abortAt = hit;
+            this.engine.emu_stop();
+          }
+        } catch(e) {
+          console.log(`Watchpoint check failed at 0x${address.toString(16)}: ${e.message || e}`);
+        }
+      }
+      
+      // Whether a write (its value as passed to the memory hook) changes any watched byte
+      writeChangesWatchpoint(watchpoint, address, size, valueLow, valueHigh) {
+        if (size > 8) {
+          return true; // The hook only passes the value of accesses up to 8 bytes
+        }
+        const start = Math.max(address, watchpoint.address);
+        const end = Math.min(address + size, watchpoint.address + watchpoint.size);
+        const current = this.engine.mem_read(start, end - start);
+        for (let addr = start; addr < end; addr++) {
+          const index = addr - address;
+          const byte = ((index < 4 ? valueLow : valueHigh) >>> ((index % 4) * 8)) & 0xff;
+          if (byte !== current[addr - start]) {
+            return true;
+          }
+        }
+        return false;
+      }
+      
+      /**
+       * emu_stop() from a memory hook leaves the instruction half done: the access has
+       * happened but RIP, registers and the instruction count have not moved on. An
+       * exception interrupt leaves it not done at all. Undo the write, if any, and rewind
+       * so the instruction can be executed again as a single step.
+       * @param {Object} hit - { pc, undo }: the instruction, and the write to take back or null
+       */
+      abortNativeInstruction(hit, block) {
+        if (hit.undo) {
+          this.engine.mem_write(hit.undo.address, hit.undo.bytes);
+        }
+        if (this.is64bit) {
+          this.engine.reg_write_i64(UnicornModule.X86_REG_RIP, hit.pc);
+        } else {
+          this.engine.reg_write_i32(UnicornModule.X86_REG_EIP, hit.pc);
+        }
+        const index = block ? block.addresses.indexOf(hit.pc) : -1;
+        if (index >= 0) {
+          this.executionCount -= block.addresses.length - index; // The block was counted on entry
+          this.history.trimLastEntry(index);
+          this.trace.recordUntraced(-block.depthChange); // Its last instruction, the call or ret, never ran
+        }
+        this.pendingWatchHit = null;
+      }
+      
+      /**
+       * Reports the watched access made by the instruction that just executed, with the
+       * old and new value of the watched memory. Stops a Run; after a Step it only reports.
+       */
+      handleWatchpointHit() {
+        const hit = this.pendingWatchHit;
+        const watchpoint = hit.watchpoint;
+        this.pendingWatchHit = null;
+        watchpoint.hits++;
+        if (this.isRunning) {
+          this.isRunning = false;
+          this.isPaused = true;
+        }
+        
+        const newBytes = this.engine.mem_read(watchpoint.address, watchpoint.size);
+        const values = hit.type === 'write' ?
+          `old ${this.formatWatchedValue(hit.oldBytes)}, new ${this.formatWatchedValue(newBytes)}` :
+          `value ${this.formatWatchedValue(newBytes)}`;
+        const message = `Watchpoint ${watchpoint.id} (${watchpoint.label}, ${watchpoint.size} byte${watchpoint.size === 1 ? '' : 's'} at 0x${watchpoint.address.toString(16)}) ` +
+          `${hit.type === 'write' ? 'written' : 'read'} by '${this.describeInstruction(hit.pc)}' at 0x${hit.pc.toString(16)} ` +
+          `in ${this.functionContaining(hit.pc)}(): ${values}`;
+        console.log(message);
+        if (!window.isPerformanceModeActive) {
+          document.getElementById('emuOutput').textContent += `\n${message}\n`;
+          this.updateWatchpointList();
+        }
+      }
+      
+      // Little-endian integer as signed decimal and hex; longer ranges as raw bytes
+      formatWatchedValue(bytes) {
+        if (bytes.length > 8) {
+          return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join(' ');
+        }
+        const value = this.fromBytes(bytes);
+        return `${BigInt.asIntN(bytes.length * 8, value)} (0x${value.toString(16)})`;
+      }
+      
+      // Function whose symbol range covers an address (object files), else the source mapping
+      functionContaining(address) {
+        const bounds = this.functionBoundsAt(address);
+        return bounds ? bounds.name : this.functionNameAt(address);
+      }
+      
+      // { name, start, size } of the function symbol covering an address, or null
+      functionBoundsAt(address) {
+        for (const [name, bounds] of this.functionBoundaries) {
+          if (address >= bounds.start && address < bounds.start + bounds.size) {
+            return { name, ...bounds };
+          }
+        }
+        return null;
+      }
+      
+      updateWatchpointList() {
+        const list = document.getElementById('watchpointList');
+        if (!list) {
+          return;
+        }
+        if (this.watchpoints.length === 0) {
+          list.innerHTML = '<div class="breakpoint-empty">Watch a variable, a stack slot such as [RBP-0x8], or an address.</div>';
+          return;
+        }
+        const accessNames = { write: 'write', read: 'read', access: 'read/write' };
+        list.innerHTML = this.watchpoints.map(watchpoint => `
+          <div class="breakpoint-item${watchpoint.enabled ? '' : ' breakpoint-disabled'}" data-id="${watchpoint.id}">
+            <input type="checkbox" data-action="enable" title="Enable or disable" ${watchpoint.enabled ? 'checked' : ''}>
+            <span class="breakpoint-addr">0x${watchpoint.address.toString(16)}</span>
+            <span class="breakpoint-location">${this.escapeHtml(watchpoint.label)}, ${watchpoint.size} byte${watchpoint.size === 1 ? '' : 's'}, ${watchpoint.onChange ? 'change' : accessNames[watchpoint.access]}</span>
+            <span class="breakpoint-hits">${watchpoint.hits} ${watchpoint.hits === 1 ? 'hit' : 'hits'}</span>
+            <button class="breakpoint-delete" data-action="delete" title="Delete watchpoint">✕</button>
+          </div>`).join('');
+      }
+      
+      /**
+       * First instruction of a C source line. With a line table, a line without code of its
+       * own (blank, a comment, a lone brace) moves to the next line of the same function
+       * that has some, as gdb does. Without one lineMapping is only function-level, and this
+       * is the first instruction of the function enclosing the line.
+       * @returns {number|null} null when no mapped instruction belongs to the line
+       */
+      resolveSourceLine(line) {
+        let best = null; // { line, address }
+        this.lineMapping.forEach((info, address) => {
+          if (info.functionStart > line || line > info.functionEnd) {
+            return;
+          }
+          const codeLine = info.type === 'line' ? info.line : line;
+          if (codeLine >= line && (best === null || codeLine < best.line || (codeLine === best.line && address < best.address))) {
+            best = { line: codeLine, address };
+          }
+        });
+        return best === null ? null : best.address;
+      }
+      
+      // Breakpoint requested from the source editor gutter; several lines may resolve to one address
+      addSourceBreakpoint(line) {
+        const address = this.resolveSourceLine(line);
+        if (address === null) {
+          console.log(`No instructions mapped to C line ${line}`);
+          return null;
+        }
+        const mapping = this.lineMapping.get(address);
+        if (mapping.type === 'line' && mapping.line !== line) {
+          this.reportBreakpointMessage(`Breakpoint on C line ${line} moved to line ${mapping.line}, the next line with code`);
+        }
+        const breakpoint = this.userBreakpoints.get(address) || this.createUserBreakpoint(address);
+        breakpoint.sourceLines.add(line);
+        this.refreshBreakpointViews();
+        return address;
+      }
+      
+      removeSourceBreakpoint(line) {
+        const breakpoint = [...this.userBreakpoints.values()].find(bp => bp.sourceLines.has(line));
+        if (!breakpoint) {
+          return;
+        }
+        breakpoint.sourceLines.delete(line);
+        if (breakpoint.sourceLines.size === 0) {
+          this.removeBreakpoint(breakpoint.address);
+        } else {
+          this.refreshBreakpointViews();
+        }
+      }
+      
+      setBreakpointEnabled(address, enabled) {
+        const breakpoint = this.userBreakpoints.get(address);
+        if (!breakpoint) {
+          return;
+        }
+        breakpoint.enabled = enabled;
+        if (enabled) {
+          this.breakpoints.add(address);
+        } else {
+          this.breakpoints.delete(address);
+        }
+        this.refreshBreakpointViews();
+      }
+      
+      removeBreakpoint(address) {
+        const breakpoint = this.userBreakpoints.get(address);
+        if (breakpoint) {
+          breakpoint.sourceLines.forEach(line => sourceBreakpointLines.delete(line));
+        }
+        this.userBreakpoints.delete(address);
+        this.breakpoints.delete(address);
+        console.log(`Breakpoint removed at 0x${address.toString(16)}`);
+        this.refreshBreakpointViews();
+      }
+      
+      // Redraws the breakpoint markers in the assembly view and source gutter, and the breakpoint list
+      refreshBreakpointViews() {
+        if (window.isPerformanceModeActive) {
+          return;
+        }
+        this.highlightCurrentLine();
+        this.updateBreakpointList();
+        renderSourceBreakpointMarkers();
+      }
+      
+      updateBreakpointList() {
+        const list = document.getElementById('breakpointList');
+        if (!list) {
+          return;
+        }
+        if (this.userBreakpoints.size === 0) {
+          list.innerHTML = '<div class="breakpoint-empty">Click an instruction in the assembly view to set a breakpoint.</div>';
+          return;
+        }
+        
+        const breakpoints = [...this.userBreakpoints.values()].sort((a, b) => a.address - b.address);
+        list.innerHTML = breakpoints.map(breakpoint => {
+          const lines = breakpoint.sourceLines.size > 0 ? ` (line ${[...breakpoint.sourceLines].join(', ')})` : '';
+          return `
+          <div class="breakpoint-item${breakpoint.enabled ? '' : ' breakpoint-disabled'}" data-address="${breakpoint.address}">
+            <input type="checkbox" data-action="enable" title="Enable or disable" ${breakpoint.enabled ? 'checked' : ''}>
+            <span class="breakpoint-addr">0x${breakpoint.address.toString(16)}</span>
+            <span class="breakpoint-location">${this.escapeHtml(this.functionNameAt(breakpoint.address))}${lines}: ${this.escapeHtml(this.describeInstruction(breakpoint.address))}</span>
+            <span class="breakpoint-hits">${breakpoint.hits} ${breakpoint.hits === 1 ? 'hit' : 'hits'}</span>
+            <button class="breakpoint-delete" data-action="delete" title="Delete breakpoint">✕</button>
+            <div class="breakpoint-options">
+              <input type="text" data-field="condition" placeholder="Condition, e.g. RCX == 5" value="${this.escapeHtml(breakpoint.condition ? breakpoint.condition.source : '')}">
+              <input type="number" data-field="ignoreCount" min="0" title="Hits to ignore before stopping" value="${breakpoint.ignoreCount}">
+              <input type="text" data-field="logMessage" placeholder="Log {RAX} and continue" value="${this.escapeHtml(breakpoint.logMessage ? breakpoint.logMessage.text : '')}">
+            </div>
+          </div>`;
+        }).join('');
+      }
+           
+      updateUI() {
+        this.updateRegisters();
+        this.updateCallStack();
+        this.updateVariables();
+        this.updateStack();
+        this.updateTimeline();
+        this.updateMemoryView();
+      }
+      
+      /**
+       * Register grid: general purpose and segment registers, then XMM (with float and
+       * double lanes) and the x87 stack in collapsible groups that stay open across redraws.
+       * @param {Object} [registers] - Register name -> value, see getAllRegisters()
+       * @param {bigint} [changedFlags] - Flag bits the last instruction changed, see updateFlags()
+       */
+      updateRegisters(registers = this.getAllRegisters(), changedFlags = this.lastFlagChanges()) {
+        if (window.isPerformanceModeActive) {
+          return;
+        }
+        const grid = document.getElementById('registerGrid');
+        const openGroups = new Set(Array.from(grid.querySelectorAll('details[open]'), group => group.dataset.group));
+        const names = Object.keys(registers);
+        // Cells with data-register can be edited, see editRegister()
+        const cell = (name, extra = '') =>
+          `<div class="register${extra ? ' register-wide' : ''}"${/^(ST\d|[FG]S_BASE)$/.test(name) ? '' : ` data-register="${name}"`}>
+            <span class="reg-name">${name}:</span>
+            <span class="reg-value"${/^(XMM|ST)\d/.test(name) ? '' : ` title="${this.formatValue(registers[name], this.registerWidth(name))}"`}>${this.formatRegisterValue(name, registers[name])}</span>${extra}
+          </div>`;
+        const group = (id, title, cells) =>
+          `<details class="register-group" data-group="${id}"${openGroups.has(id) ? ' open' : ''}>
+            <summary>${title}</summary>
+            <div class="register-group-grid">${cells.join('')}</div>
+          </details>`;
+        
+        const vectors = names.filter(name => /^XMM/.test(name));
+        grid.innerHTML = names.filter(name => !/^(XMM|ST)\d/.test(name)).map(name => cell(name)).join('') +
+          group('sse', `SSE: XMM0-XMM${vectors.length - 1}`, vectors.map(name =>
+            cell(name, `<span class="reg-lanes">${this.formatVectorLanes(registers[name])}</span>`))) +
+          group('x87', 'x87 stack: ST0-ST7', names.filter(name => /^ST\d/.test(name)).map(name => cell(name)));
+        this.updateFlags(registers, changedFlags);
+      }
+      
+      /**
+       * Flag strip under the register grid, with the flags in `changedFlags` highlighted,
+       * and for a conditional jump at the program counter whether it will be taken.
+       */
+      updateFlags(registers, changedFlags) {
+        const strip = document.getElementById('flagsStrip');
+        const branchInfo = document.getElementById('branchInfo');
+        if (!strip || !branchInfo) {
+          return;
+        }
+        const flags = this.decodeFlags(registers[this.is64bit ? 'RFLAGS' : 'EFLAGS']);
+        strip.innerHTML = Object.entries(UnicornDebugger.FLAG_BITS).map(([name, bit]) => {
+          const changed = (changedFlags >> BigInt(bit)) & 1n ? ' changed' : '';
+          return `<span class="flag${flags[name] ? ' set' : ''}${changed}" title="${UnicornDebugger.FLAG_NAMES[name]}">${name}=${flags[name]}</span>`;
+        }).join('');
+        
+        const pc = Number(registers[this.is64bit ? 'RIP' : 'EIP']);
+        const branch = this.explainBranch(this.describeInstruction(pc), flags, registers);
+        branchInfo.textContent = branch ? branch.text : '';
+        branchInfo.className = `branch-info${branch ? (branch.taken ? ' taken' : ' not-taken') : ''}`;
+      }
+      
+      // RFLAGS value -> { CF: 0 | 1, PF, ... } for the flags in FLAG_BITS
+      decodeFlags(value) {
+        const flags = {};
+        Object.entries(UnicornDebugger.FLAG_BITS).forEach(([name, bit]) => {
+          flags[name] = Number((value >> BigInt(bit)) & 1n);
+        });
+        return flags;
+      }
+      
+      /**
+       * Whether a conditional jump will be taken, from the flags (or the counter register
+       * for jcxz/jecxz/jrcxz) it tests.
+       * @param {string} instruction - Disassembly of the instruction, mnemonic first
+       * @returns {{taken: boolean, text: string}|null} null if it is not a conditional jump
+       */
+      explainBranch(instruction, flags, registers) {
+        const [mnemonic, target = ''] = instruction.split(/\s+/);
+        const counter = { jcxz: 'CX', jecxz: 'ECX', jrcxz: 'RCX' }[mnemonic];
+        if (counter) {
+          const value = BigInt.asUintN(DebugExpression.registerSize(counter) * 8, registers[this.is64bit ? 'RCX' : 'ECX']);
+          const taken = value === 0n;
+          return { taken, text: `${mnemonic} ${target}: ${taken ? 'taken' : 'not taken'} - ${counter}=${value} (jumps if ${counter} = 0)` };
+        }
+        const condition = UnicornDebugger.JUMP_CONDITIONS[mnemonic];
+        if (!condition) {
+          return null;
+        }
+        const taken = condition.test(flags);
+        const values = condition.flags.map(name => `${name}=${flags[name]}`).join(', ');
+        return { taken, text: `${mnemonic} ${target}: ${taken ? 'taken' : 'not taken'} - ${values} (jumps if ${condition.description})` };
+      }
+      
+      // Flag bits an executed trace entry changed, 0n if it left them alone
+      flagChanges(entry) {
+        const change = entry.registers.find(([name]) => name === (this.is64bit ? 'RFLAGS' : 'EFLAGS'));
+        return change ? change[1] ^ change[2] : 0n;
+      }
+      
+      // Flag bits changed by the instruction that just ran, when it was single-stepped
+      lastFlagChanges() {
+        const last = this.lastStepEntry();
+        return last ? this.flagChanges(last) : 0n;
+      }
+      
+      // Trace entry of the instruction that just ran, null if it ran without one (native Run)
+      lastStepEntry() {
+        if (this.trace.length === this.trace.firstIndex) {
+          return null;
+        }
+        const last = this.trace.entry(this.trace.length - 1);
+        return last.position + 1 === this.history.position ? last : null;
+      }
+      
+      /**
+       * Points the Memory tab at `target`, a debug expression evaluated now: a global's
+       * name stands for its address, and `RSP + 0x10` or `[RBP-0x8]` (a pointer) work too.
+       * @throws {Error} If the expression does not parse or evaluate
+       */
+      showMemory(target) {
+        const address = DebugExpression.parse(target).evaluate(this.expressionContext());
+        this.navigateMemory(Number(BigInt.asUintN(this.is64bit ? 64 : 32, address)));
+      }
+      
+      navigateMemory(address) {
+        if (this.memoryView.address !== null) {
+          this.memoryView.back.push(this.memoryView.address);
+        }
+        this.memoryView.address = address;
+        this.refreshMemoryView();
+      }
+      
+      memoryBack() {
+        if (this.memoryView.back.length > 0) {
+          this.memoryView.address = this.memoryView.back.pop();
+          this.refreshMemoryView();
+        }
+      }
+      
+      // Follows the pointer stored at `address` in the bytes on display
+      followPointer(address) {
+        const wordSize = this.is64bit ? 8 : 4;
+        let target;
+        try {
+          target = Number(this.fromBytes(this.memoryView.readMemory(address, wordSize)));
+          this.engine.mem_read(target, 1);
+        } catch(e) {
+          this.reportBreakpointMessage(`Memory: 0x${address.toString(16)} does not hold a pointer to mapped memory` +
+            (target === undefined ? '' : ` (0x${target.toString(16)})`));
+          return;
+        }
+        this.navigateMemory(target);
+      }
+      
+      // Redraws the Memory tab from the live state or the timeline step on display
+      refreshMemoryView() {
+        if (this.timelineIndex === null) {
+          this.updateMemoryView();
+        } else {
+          this.updateMemoryView((address, size) => this.trace.readMemory(this.timelineIndex, address, size),
+            this.trace.entry(this.timelineIndex).memory);
+        }
+      }
+      
+      /**
+       * Memory tab: rows of 16 bytes in hex and ASCII from the chosen address, each row
+       * also decoded as memoryView.type. Bytes the step changed are highlighted; clicking
+       * a byte follows the pointer stored there.
+       * @param {Function} [readMemory] - (address, size) -> bytes, throws if unmapped
+       * @param {Array<Object>} [writes] - { address, before, after } writes of the step shown
+       */
+      updateMemoryView(readMemory = (address, size) => this.engine.mem_read(address, size),
+                       writes = (this.lastStepEntry() || { memory: [] }).memory) {
+        const view = document.getElementById('memoryDump');
+        if (window.isPerformanceModeActive || !view || this.memoryView.address === null) {
+          return;
+        }
+        this.memoryView.readMemory = readMemory;
+        document.getElementById('memoryBackBtn').disabled = this.memoryView.back.length === 0;
+        
+        const changed = new Set();
+        writes.forEach(write => write.after.forEach((byte, i) => {
+          if (byte !== write.before[i]) {
+            changed.add(write.address + i);
+          }
+        }));
+        const digits = this.is64bit ? 16 : 8;
+        const start = this.memoryView.address - this.memoryView.address % 16;
+        const rows = [];
+        for (let row = start; row < start + UnicornDebugger.MEMORY_VIEW_ROWS * 16; row += 16) {
+          let bytes;
+          try {
+            bytes = Uint8Array.from(readMemory(row, 16));
+          } catch(e) {
+            rows.push(`<div class="memory-row"><span class="memory-address">0x${row.toString(16).padStart(digits, '0')}</span>` +
+              `<span class="memory-bytes">${'?? '.repeat(16)}</span><span class="memory-ascii">not mapped</span></div>`);
+            continue;
+          }
+          const hex = Array.from(bytes, (byte, i) => {
+            const address = row + i;
+            const classes = ['memory-byte'];
+            if (changed.has(address)) {
+              classes.push('changed');
+            }
+            if (address === this.memoryView.address) {
+              classes.push('target');
+            }
+            return `<span class="${classes.join(' ')}" data-address="${address}" title="0x${address.toString(16)}: click to follow the pointer stored here">` +
+              `${byte.toString(16).padStart(2, '0')}</span>`;
+          }).join(' ');
+          const ascii = Array.from(bytes, byte => byte >= 0x20 && byte < 0x7f ? this.escapeHtml(String.fromCharCode(byte)) : '.').join('');
+          rows.push(`<div class="memory-row"><span class="memory-address">0x${row.toString(16).padStart(digits, '0')}</span>` +
+            `<span class="memory-bytes">${hex}</span><span class="memory-ascii">${ascii}</span>` +
+            `<span class="memory-typed">${this.decodeMemoryRow(bytes, this.memoryView.type)}</span></div>`);
+        }
+        view.innerHTML = rows.join('');
+      }
+      
+      // A row of bytes as i8/i16/i32/i64 (signed, little-endian), float or double values; '' for hex only
+      decodeMemoryRow(bytes, type) {
+        const decoding = UnicornDebugger.MEMORY_TYPES[type];
+        if (!decoding) {
+          return '';
+        }
+        const data = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+        const values = [];
+        for (let offset = 0; offset < bytes.length; offset += decoding.size) {
+          values.push(String(data[decoding.read](offset, true)));
+        }
+        return values.join(' ');
+      }
+      
+      /**
+       * Stack view: one row per word, labeled with what it holds, and a header where each
+       * frame of the Call Stack panel starts. Needs updateCallStack() to have run first.
+       * @param {Array<Object>} [stack] - { address, value } words, lowest address first; by
+       *   default from RSP through the outermost frame shown, see stackViewLength()
+       */
+      updateStack(stack = this.getStackContents(this.stackViewLength(this.stackPointerValue()))) {
+        if (window.isPerformanceModeActive) {
+          return;
+        }
+        const frames = this.callStack ? this.callStack.frames : [];
+        const labels = this.annotateStack(frames);
+        const digits = this.is64bit ? 16 : 8;
+        const stackHTML = stack.map(item => {
+          const address = BigInt(item.address);
+          const index = frames.findIndex(frame => frame.stackTop === address);
+          const header = index < 0 ? '' :
+            `<div class="stack-frame-header">#${index} ${this.escapeHtml(frames[index].name)}()</div>`;
+          const frameEnd = frames.some(frame => frame.returnSlot === address) ? ' frame-end' : '';
+          const label = labels.get(address);
+          return `${header}<div class="stack-item${frameEnd}" data-address="${item.address}" title="${this.formatValue(item.value, digits / 2)}">
+            <span class="stack-addr">0x${item.address.toString(16).padStart(digits, '0')}:</span>
+            <span class="stack-label">${label ? this.escapeHtml(label) : ''}</span>
+            <span class="stack-value">0x${item.value.toString(16).padStart(digits, '0')}</span>
+          </div>`;
+        }).join('');
+        document.getElementById('stackView').innerHTML = stackHTML;
+      }
+      
+      /**
+       * Words the stack view shows from the stack pointer `sp` (a BigInt): through the
+       * return address of the outermost frame on the Call Stack panel, within
+       * MIN_STACK_VIEW_WORDS..MAX_FRAME_SLICE_WORDS.
+       */
+      stackViewLength(sp) {
+        const frames = this.callStack ? this.callStack.frames : [];
+        if (frames.length === 0) {
+          return UnicornDebugger.MIN_STACK_VIEW_WORDS;
+        }
+        const words = Number((frames[frames.length - 1].returnSlot - sp) / BigInt(this.is64bit ? 8 : 4)) + 1;
+        return Math.min(Math.max(words, UnicornDebugger.MIN_STACK_VIEW_WORDS), UnicornDebugger.MAX_FRAME_SLICE_WORDS);
+      }
+      
+      /**
+       * What each stack slot of `frames` (from getCallStack()) holds: return addresses,
+       * saved RBP values, and what frameLayout() finds in the function - saved registers,
+       * spilled and stack arguments - with the rest of the frame labeled as locals at
+       * [RBP-n], or as temporaries below the locals area.
+       * @returns {Map<bigint, string>} Word address -> label
+       */
+      annotateStack(frames) {
+        const labels = new Map();
+        const word = BigInt(this.is64bit ? 8 : 4);
+        const bp = this.is64bit ? 'RBP' : 'EBP';
+        const label = (address, text) => {
+          if (!labels.has(address)) {
+            labels.set(address, text);
+          }
+        };
+        frames.forEach((frame, index) => {
+          const returnTo = frame.returnAddress === null ? 'unknown' : this.functionContaining(frame.returnAddress);
+          label(frame.returnSlot, returnTo === 'unknown' ? 'return address' : `return to ${returnTo}()`);
+          if (frame.frameBase < frame.stackTop) {
+            return; // Stopped on the first instruction: the prologue has not run yet
+          }
+          const caller = frames[index + 1];
+          label(frame.frameBase, `saved ${bp}${caller ? ` (${caller.name}'s frame)` : ''}`);
+          this.variableSlots(frame).forEach((variables, address) => {
+            const kind = variables.every(variable => variable.parameter) ? 'parameter' : 'local';
+            label(address, `${kind} ${variables.map(variable => variable.name).join(', ')}`);
+          });
+          
+          const bounds = this.functionBoundsAt(frame.pc);
+          const layout = bounds ? this.frameLayout(bounds) : { slots: new Map(), localsSize: 0 };
+          layout.slots.forEach((text, offset) => {
+            const address = frame.frameBase + BigInt(offset);
+            if (offset > 0 || address >= frame.stackTop) {
+              label(address, text);
+            }
+          });
+          const localsEnd = frame.frameBase - BigInt(layout.localsSize);
+          for (let address = frame.frameBase - word; address >= frame.stackTop; address -= word) {
+            label(address, address >= localsEnd ? `local [${bp}-0x${(frame.frameBase - address).toString(16)}]` : 'temporary');
+          }
+        });
+        return labels;
+      }
+      
+      /**
+       * Stack words holding the frame-relative parameters and locals the debug info places
+       * in a frame, within the space the frame has allocated so far.
+       * @returns {Map<bigint, Array<Object>>} Word address -> variables stored in it
+       */
+      variableSlots(frame) {
+        const slots = new Map();
+        const scope = this.debugInfo ? this.variablesInScope(frame.pc) : null;
+        const base = scope ? this.frameBaseAddress(scope.frameBase, frame, null) : null;
+        if (base === null) {
+          return slots;
+        }
+        const word = BigInt(this.is64bit ? 8 : 4);
+        scope.variables.filter(variable => variable.location && variable.location.frameOffset !== undefined).forEach(variable => {
+          const start = BigInt(base + variable.location.frameOffset);
+          const end = start + BigInt(Math.max(1, this.typeSize(variable.type)));
+          for (let address = start - ((start % word) + word) % word; address < end; address += word) {
+            if (address > frame.frameBase || address >= frame.stackTop) {
+              slots.set(address, (slots.get(address) || []).concat(variable));
+            }
+          }
+        });
+        return slots;
+      }
+      
+      /**
+       * Where a function keeps things relative to its frame base (the saved RBP), from its
+       * code: callee-saved registers its prologue pushes or stores, register arguments it
+       * spills to the stack, stack arguments it reads above the return address, and the
+       * size of the locals area (pushed registers included). Cached; code does not change.
+       * @param {Object} bounds - { start, size } of the function
+       * @returns {{slots: Map<number, string>, localsSize: number}} Word offset -> label
+       */
+      frameLayout(bounds) {
+        if (this.frameLayouts.has(bounds.start)) {
+          return this.frameLayouts.get(bounds.start);
+        }
+        const word = this.is64bit ? 8 : 4;
+        const [bp, sp] = this.is64bit ? ['rbp', 'rsp'] : ['ebp', 'esp'];
+        const argumentRegisters = this.is64bit ? UnicornDebugger.ARGUMENT_REGISTERS_64 : [];
+        const calleeSaved = this.is64bit ? UnicornDebugger.CALLEE_SAVED_64 : UnicornDebugger.CALLEE_SAVED_32;
+        const slots = new Map();
+        const slot = (offset, text) => {
+          const aligned = Math.floor(offset / word) * word; // The word holding [RBP+offset]
+          if (!slots.has(aligned)) {
+            slots.set(aligned, text);
+          }
+        };
+        let pushed = 0;
+        let localsSize = 0;
+        let inPrologue = true;
+        let instructions = [];
+        try {
+          instructions = this.disasm.disasm(this.engine.mem_read(bounds.start, bounds.size), bounds.start);
+        } catch(e) {
+          // Unreadable code has no layout to find
+        }
+        
+        instructions.forEach(instruction => {
+          const operands = instruction.op_str;
+          if (inPrologue) {
+            const store = new RegExp(`^(?:\\w+ ptr )?\\[${bp} - (0x[0-9a-f]+|\\d+)\\], (\\w+)$`).exec(operands);
+            const register = store && this.fullRegisterName(store[2]);
+            if (instruction.mnemonic === 'push' && operands === bp || instruction.mnemonic === 'mov' && operands === `${bp}, ${sp}`) {
+              return;
+            } else if (instruction.mnemonic === 'push' && calleeSaved.includes(operands.toUpperCase())) {
+              pushed += word;
+              slot(-pushed, `saved ${operands.toUpperCase()}`);
+              return;
+            } else if (instruction.mnemonic === 'sub' && operands.startsWith(`${sp}, `)) {
+              localsSize += Number(operands.slice(sp.length + 2));
+              return;
+            } else if (instruction.mnemonic === 'mov' && register && argumentRegisters.includes(register)) {
+              slot(-Number(store[1]), `argument ${argumentRegisters.indexOf(register) + 1} (${register})`);
+              return;
+            } else if (instruction.mnemonic === 'mov' && register && calleeSaved.includes(register)) {
+              slot(-Number(store[1]), `saved ${register}`);
+              return;
+            }
+            inPrologue = false;
+          }
+          const stackArgument = new RegExp(`\\[${bp} \\+ (0x[0-9a-f]+|\\d+)\\]`, 'g');
+          let match;
+          while ((match = stackArgument.exec(operands)) !== null) {
+            const offset = Number(match[1]);
+            if (offset >= 2 * word) { // Above the saved RBP and the return address
+              slot(offset, `stack argument [${bp.toUpperCase()}+0x${offset.toString(16)}]`);
+            }
+          }
+        });
+        const layout = { slots, localsSize: pushed + localsSize };
+        this.frameLayouts.set(bounds.start, layout);
+        return layout;
+      }
+      
+      // Full-width name of a general purpose register operand: edi, di and dil are RDI, r8d is R8
+      fullRegisterName(operand) {
+        const name = operand.toUpperCase();
+        const match = /^R(8|9|1[0-5])[DWB]?$/.exec(name);
+        if (match) {
+          return `R${match[1]}`;
+        }
+        const base = /^[RE]?([ABCD])[XLH]$/.exec(name) ? `${name.replace(/^[RE]/, '')[0]}X` :
+          /^[RE]?(SI|DI|BP|SP)L?$/.exec(name) ? name.replace(/^[RE]/, '').replace(/L$/, '') : null;
+        return base === null ? null : `${this.is64bit ? 'R' : 'E'}${base}`;
+      }
+      
+      
+      /**
+       * Call Stack panel, innermost frame first and selected.
+       * @param {Object} [machine] - State to walk, see getCallStack()
+       */
+      updateCallStack(machine = this.expressionContext()) {
+        const list = document.getElementById('callStackList');
+        if (window.isPerformanceModeActive || !list) {
+          return;
+        }
+        const frames = this.getCallStack(machine);
+        this.callStack = { frames, machine };
+        const digits = this.is64bit ? 16 : 8;
+        list.innerHTML = frames.map((frame, index) => `
+          <div class="breakpoint-item callstack-frame${index === 0 ? ' selected' : ''}" data-frame="${index}">
+            <span class="breakpoint-addr">#${index}</span>
+            <span class="breakpoint-location">${this.escapeHtml(frame.name)}() at 0x${frame.pc.toString(16)}</span>
+            <span class="breakpoint-hits" title="Return address">ret ${frame.returnAddress === null ? '?' : `0x${frame.returnAddress.toString(16)}`}</span>
+            <span class="breakpoint-hits" title="Frame base: where the caller's ${this.is64bit ? 'RBP' : 'EBP'} is saved">frame 0x${frame.frameBase.toString(16).padStart(digits, '0')}</span>
+          </div>`).join('');
+      }
+      
+      /**
+       * Shows one frame of the Call Stack panel: its part of the stack, from the lowest
+       * address it uses up to its return address, and its C function.
+       */
+      selectCallStackFrame(index) {
+        const frame = this.callStack && this.callStack.frames[index];
+        if (!frame) {
+          return;
+        }
+        document.querySelectorAll('#callStackList .callstack-frame').forEach(item => {
+          item.classList.toggle('selected', parseInt(item.dataset.frame, 10) === index);
+        });
+        
+        const wordSize = this.is64bit ? 8 : 4;
+        const stack = [];
+        for (let address = frame.stackTop; address <= frame.returnSlot && stack.length < UnicornDebugger.MAX_FRAME_SLICE_WORDS;
+             address += BigInt(wordSize)) {
+          try {
+            const bytes = this.callStack.machine.readMemory(Number(address), wordSize);
+            stack.push({ address, value: this.fromBytes(bytes) });
+          } catch(e) {
+            break;
+          }
+        }
+        this.updateStack(stack);
+        this.updateVariables(index);
+        this.highlightCFunction(frame.pc);
+      }
+      
+      /**
+       * Variables panel: the parameters and locals in scope at a Call Stack frame's PC,
+       * then the globals, with their C types and values read from the frame's machine
+       * state. Needs updateCallStack() to have run first.
+       * @param {number} [frameIndex] - Frame of the Call Stack panel, the innermost by default
+       */
+      updateVariables(frameIndex = 0) {
+        const list = document.getElementById('variableList');
+        if (window.isPerformanceModeActive || !list) {
+          return;
+        }
+        if (!this.debugInfo) {
+          list.innerHTML = '<div class="breakpoint-empty">This program has no DWARF debug info; compile it here to see its variables.</div>';
+          return;
+        }
+        const frame = this.callStack && this.callStack.frames[frameIndex];
+        const machine = this.callStack ? this.callStack.machine : this.expressionContext();
+        const scope = frame ? this.variablesInScope(frame.pc) : null;
+        const groups = [];
+        if (scope) {
+          // Registers other than the frame's RBP are only known for the innermost frame
+          const frameBase = this.frameBaseAddress(scope.frameBase, frame, frameIndex === 0 ? machine : null);
+          const addressOf = variable => {
+            const location = variable.location || {};
+            if (location.address !== undefined) {
+              return location.address; // A static local
+            }
+            return location.frameOffset !== undefined && frameBase !== null ? frameBase + location.frameOffset : null;
+          };
+          groups.push([`Parameters of ${scope.name}()`, scope.variables.filter(variable => variable.parameter), addressOf]);
+          groups.push(['Locals', scope.variables.filter(variable => !variable.parameter), addressOf]);
+        }
+        // The loader's symbols also cover COMMON globals, which get their storage at load time
+        groups.push(['Globals', this.debugInfo.globals, variable => this.dataSymbols.has(variable.name) ?
+          this.dataSymbols.get(variable.name).address : variable.location.address !== undefined ? variable.location.address : null]);
+        
+        const rows = [];
+        groups.forEach(([title, variables, addressOf]) => {
+          if (variables.length === 0) {
+            return;
+          }
+          rows.push(`<div class="variable-group">${this.escapeHtml(title)}</div>`);
+          variables.forEach(variable => {
+            const address = addressOf(variable);
+            let value;
+            try {
+              value = address === null ? 'not available here' : this.formatVariable(variable.type, address, machine.readMemory);
+            } catch(e) {
+              value = 'unreadable';
+            }
+            const where = address === null ? '' : ` data-address="${address}" title="0x${address.toString(16)}` +
+              (variable.location.frameOffset !== undefined ? ` (frame base ${variable.location.frameOffset < 0 ? '-' : '+'} 0x${Math.abs(variable.location.frameOffset).toString(16)})` : '') +
+              ': click to show it in the Memory tab"';
+            rows.push(`<div class="breakpoint-item variable-item"${where}>
+              <span class="variable-name">${this.escapeHtml(variable.name)}</span>
+              <span class="variable-type">${this.escapeHtml(this.typeName(variable.type))}</span>
+              <span class="variable-value">${this.escapeHtml(value)}</span>
+            </div>`);
+          });
+        });
+        list.innerHTML = rows.length > 0 ? rows.join('') :
+          '<div class="breakpoint-empty">No variables in scope.</div>';
+      }
+      
+      /**
+       * Function containing `pc` in the debug info and the variables in scope there: its
+       * parameters and locals, then those of each lexical block around pc, outermost first.
+       * @returns {?{name: string, frameBase: ?Object, variables: Array<Object>}}
+       */
+      variablesInScope(pc) {
+        const contains = scope => scope.low === null || (scope.low <= pc && pc < scope.high);
+        const func = this.debugInfo && this.debugInfo.functions.find(scope => scope.low !== null && contains(scope));
+        if (!func) {
+          return null;
+        }
+        const variables = [];
+        const collect = scope => {
+          variables.push(...scope.variables);
+          scope.scopes.filter(contains).forEach(collect);
+        };
+        collect(func);
+        return { name: func.name, frameBase: func.frameBase, variables };
+      }
+      
+      /**
+       * Address a function's DW_AT_frame_base stands for in a Call Stack frame. TinyCC
+       * uses RBP itself, which the frame walk knows for every frame, even before the
+       * prologue has set it up.
+       * @param {Object} machine - Registers of the frame, null for an outer frame
+       * @returns {?number} null when the frame base cannot be known
+       */
+      frameBaseAddress(frameBase, frame, machine) {
+        if (!frameBase) {
+          return null;
+        }
+        if (frameBase.cfa) {
+          return Number(frame.returnSlot) + (this.is64bit ? 8 : 4); // The stack pointer before the call
+        }
+        const name = (this.is64bit ? UnicornDebugger.DWARF_REGISTERS_64 : UnicornDebugger.DWARF_REGISTERS_32)[frameBase.register];
+        let value = null;
+        if (name === (this.is64bit ? 'RBP' : 'EBP')) {
+          value = frame.frameBase;
+        } else if (name && machine) {
+          value = machine.readRegister(name);
+        }
+        return value === null ? null : Number(value) + (frameBase.offset || 0);
+      }
+      
+      // Type without its typedef names and const/volatile/restrict qualifiers
+      resolvedType(type) {
+        while (type && ['typedef', 'const', 'volatile', 'restrict'].includes(type.kind)) {
+          type = type.target;
+        }
+        return type;
+      }
+      
+      typeSize(type) {
+        const resolved = this.resolvedType(type);
+        if (!resolved) {
+          return 0;
+        }
+        return resolved.kind === 'array' ? resolved.count * this.typeSize(resolved.target) : resolved.size;
+      }
+      
+      isCharType(type) {
+        const { signedChar, unsignedChar } = UnicornDebugger.DWARF_ENCODINGS;
+        return !!type && type.kind === 'base' && type.size === 1 && (type.encoding === signedChar || type.encoding === unsignedChar);
+      }
+      
+      // C spelling of a type from parseDebugInfo(): `unsigned int`, `char *`, `long [3]`, `struct point`
+      typeName(type) {
+        if (!type) {
+          return 'void';
+        }
+        switch (type.kind) {
+          case 'struct':
+          case 'union':
+          case 'enum':
+            return `${type.kind} ${type.name || '<anonymous>'}`;
+          case 'pointer': {
+            if (type.target && type.target.kind === 'function') {
+              return `${this.typeName(type.target.target)} (*)()`;
+            }
+            const target = this.typeName(type.target);
+            return target.endsWith('*') ? `${target}*` : `${target} *`;
+          }
+          case 'array': {
+            let dimensions = '';
+            let element = type;
+            for (; element && element.kind === 'array'; element = element.target) {
+              dimensions += `[${element.count || ''}]`;
+            }
+            return `${this.typeName(element)} ${dimensions}`;
+          }
+          case 'const':
+          case 'volatile':
+          case 'restrict':
+            return `${type.kind} ${this.typeName(type.target)}`;
+          case 'function':
+            return `${this.typeName(type.target)} ()`;
+        }
+        return type.name || type.kind;
+      }
+      
+      /**
+       * The value of a variable of `type` at `address` the way C would write it: numbers,
+       * characters, pointers (plus the string a char pointer points to), strings for char
+       * arrays and `{...}` for other arrays and structs.
+       * @param {Function} readMemory - (address, size) -> bytes, throws if unmapped
+       * @throws {Error} If the value itself cannot be read
+       */
+      formatVariable(type, address, readMemory, depth = 0) {
+        const resolved = this.resolvedType(type);
+        if (!resolved) {
+          return 'void';
+        }
+        if (resolved.kind === 'array') {
+          const element = this.resolvedType(resolved.target);
+          if (resolved.count === 0) {
+            return '{}';
+          }
+          if (this.isCharType(element)) {
+            return this.formatCString(readMemory(address, resolved.count));
+          }
+          if (depth >= UnicornDebugger.MAX_VARIABLE_NESTING) {
+            return '{...}';
+          }
+          const size = this.typeSize(element);
+          const shown = Math.min(resolved.count, UnicornDebugger.MAX_VARIABLE_ELEMENTS);
+          const items = [];
+          for (let i = 0; i < shown; i++) {
+            items.push(this.formatVariable(element, address + i * size, readMemory, depth + 1));
+          }
+          return `{${items.join(', ')}${resolved.count > shown ? ', ...' : ''}}`;
+        }
+        if (resolved.kind === 'struct' || resolved.kind === 'union') {
+          if (depth >= UnicornDebugger.MAX_VARIABLE_NESTING) {
+            return '{...}';
+          }
+          return `{${resolved.members.map(member =>
+            `${member.name} = ${this.formatVariable(member.type, address + member.offset, readMemory, depth + 1)}`).join(', ')}}`;
+        }
+        return this.formatScalar(resolved, readMemory(address, resolved.size), readMemory);
+      }
+      
+      // A base type, enum or pointer value from its little-endian bytes
+      formatScalar(type, bytes, readMemory) {
+        const value = this.fromBytes(bytes);
+        const bits = bytes.length * 8;
+        if (type.kind === 'pointer') {
+          const text = `0x${value.toString(16)}`;
+          if (value !== 0n && this.isCharType(this.resolvedType(type.target))) {
+            try {
+              return `${text} ${this.readCString(Number(value), readMemory)}`;
+            } catch(e) {
+              // Points to unmapped memory: the address alone says so
+            }
+          }
+          return text;
+        }
+        if (type.kind === 'enum') {
+          const number = Number(BigInt.asIntN(bits, value));
+          return type.enumerators.has(number) ? type.enumerators.get(number) : String(number);
+        }
+        
+        const encodings = UnicornDebugger.DWARF_ENCODINGS;
+        const data = new DataView(Uint8Array.from(bytes).buffer);
+        switch (type.encoding) {
+          case encodings.float:
+            if (bytes.length === 4) {
+              return String(data.getFloat32(0, true));
+            }
+            return String(bytes.length === 8 ? data.getFloat64(0, true) : this.extendedToNumber(this.fromBytes(bytes.slice(0, 10))));
+          case encodings.boolean:
+            return value !== 0n ? 'true' : 'false';
+        }
+        const signed = type.encoding === encodings.signed || type.encoding === encodings.signedChar;
+        const number = signed ? BigInt.asIntN(bits, value) : value;
+        return this.isCharType(type) ? `${number} ${this.formatCChar(Number(value), "'")}` : number.toString();
+      }
+      
+      // The NUL-terminated string at `address` as a C literal, cut at MAX_STRING_PREVIEW characters
+      readCString(address, readMemory) {
+        const bytes = [];
+        for (let i = 0; i <= UnicornDebugger.MAX_STRING_PREVIEW; i++) {
+          let byte;
+          try {
+            byte = readMemory(address + i, 1)[0];
+          } catch(e) {
+            if (i === 0) {
+              throw e;
+            }
+            break;
+          }
+          if (byte === 0) {
+            return this.formatCString(bytes);
           }
+          bytes.push(byte);
         }
+        return `${this.formatCString(bytes.slice(0, UnicornDebugger.MAX_STRING_PREVIEW))}...`;
       }
       
-      logDebugState(address, instruction) {
-        try {
-          const registers = this.getAllRegisters();
-          const stack = this.getStackContents(8); // Get top 8 stack items
-          
-          console.group(`🔍 DEBUG STATE - After executing: ${instruction} at 0x${address.toString(16)}`);
-          
-          // Log registers
-          console.log('📊 REGISTERS:');
-          Object.entries(registers).forEach(([name, value]) => {
-            const hexValue = value.toString(16).padStart(this.is64bit ? 16 : 8, '0');
-            const decValue = value;
-            console.log(`  ${name}: 0x${hexValue} (${decValue})`);
-          });
-          
-          // Log stack
-          console.log('📚 STACK (top 8 items):');
-          if (stack.length > 0) {
-            stack.forEach((item, index) => {
-              const hexAddr = item.address.toString(16).padStart(this.is64bit ? 16 : 8, '0');
-              const hexValue = item.value.toString(16).padStart(this.is64bit ? 16 : 8, '0');
-              const decValue = item.value;
-              console.log(`  [${index}] 0x${hexAddr}: 0x${hexValue} (${decValue})`);
-            });
-          } else {
-            console.log('  (Stack appears empty or unreadable)');
-          }
-          
-          console.groupEnd();
-        } catch(e) {
-          console.log('Failed to log debug state:', e.message);
+      // Bytes up to the first NUL as a double-quoted C string literal
+      formatCString(bytes) {
+        const end = Array.prototype.indexOf.call(bytes, 0);
+        return `"${Array.from(end < 0 ? bytes : bytes.slice(0, end), byte => this.formatCChar(byte, '"').slice(1, -1)).join('')}"`;
+      }
+      
+      // A character code as a C character literal quoted with `quote`, escaped where C needs it
+      formatCChar(code, quote) {
+        const escapes = { 0: '\\0', 9: '\\t', 10: '\\n', 13: '\\r', 92: '\\\\' };
+        let text;
+        if (escapes[code]) {
+          text = escapes[code];
+        } else if (String.fromCharCode(code) === quote) {
+          text = `\\${quote}`;
+        } else {
+          text = code >= 0x20 && code < 0x7f ? String.fromCharCode(code) : `\\x${code.toString(16).padStart(2, '0')}`;
         }
+        return `${quote}${text}${quote}`;
       }
       
-      addBreakpoint(address) {
-        this.breakpoints.add(address);
-        console.log(`Breakpoint added at 0x${address.toString(16)}`);
+      // Execution Log: the latest trace entries, indented by call depth
+      updateExecutionTrace() {
+        const first = Math.max(this.trace.firstIndex, this.trace.length - UnicornDebugger.TRACE_LOG_LINES);
+        if (first === this.trace.length) {
+          return;
+        }
+        const lines = [];
+        if (first > 0) {
+          lines.push(`(${first} earlier instructions - use the timeline to look at them)`);
+        }
+        for (let index = first; index < this.trace.length; index++) {
+          lines.push(this.formatTraceEntry(this.trace.entry(index)));
+        }
+        
+        const emuOutputDiv = document.getElementById('emuOutput');
+        emuOutputDiv.textContent = lines.join('\n');
+        emuOutputDiv.scrollTop = emuOutputDiv.scrollHeight;
       }
-           
-      updateUI() {
-        this.updateRegisters();
-        this.updateStack();
+      
+      // One Execution Log line: address, instruction and the registers it changed (RIP aside)
+      formatTraceEntry(entry) {
+        const [mnemonic, ...operands] = entry.instruction.split(' ');
+        const changes = entry.registers
+          .filter(([name]) => name !== 'RIP' && name !== 'EIP')
+          .map(([name, , after]) => `${name}=${after === null ? 'empty' : `0x${after.toString(16)}`}`);
+        const indent = '  '.repeat(Math.max(0, entry.depth));
+        return `0x${entry.address.toString(16).padStart(8, '0')}: ${indent}${mnemonic.padEnd(8)} ${operands.join(' ').padEnd(20)}` +
+          (changes.length > 0 ? ` [${changes.join(' ')}]` : '');
       }
       
-      updateRegisters() {
-        const registers = this.getAllRegisters();
-        const regHTML = Object.entries(registers)
-          .map(([name, value]) => 
-            `<div class="register">
-              <span class="reg-name">${name}:</span>
-              <span class="reg-value">0x${value.toString(16).padStart(this.is64bit ? 16 : 8, '0')}</span>
-            </div>`
-          ).join('');
-        if (!window.isPerformanceModeActive) {
-          document.getElementById('registerGrid').innerHTML = regHTML;
+      /**
+       * Resets the timeline slider to the live state: one position per trace entry plus
+       * a last one for now. Runs with every redraw of the live state, so stepping or
+       * running while looking back returns the panels to the present.
+       */
+      updateTimeline() {
+        const slider = document.getElementById('timelineSlider');
+        if (window.isPerformanceModeActive || !slider) {
+          return;
+        }
+        this.timelineIndex = null;
+        slider.min = this.trace.firstIndex;
+        slider.max = this.trace.length;
+        slider.value = this.trace.length;
+        slider.disabled = this.isRunning || this.trace.length === this.trace.firstIndex;
+        
+        const details = document.getElementById('timelineDetails');
+        if (this.trace.length === 0) {
+          details.innerHTML = '<div class="breakpoint-empty">Step or Run to record the execution, then drag the slider to look back at any recorded step.</div>';
+          return;
         }
+        const pc = this.getCurrentPC();
+        details.innerHTML = `<div class="timeline-step">Live: ${this.trace.length} recorded step${this.trace.length === 1 ? '' : 's'}, ` +
+          `now at 0x${pc.toString(16)} in ${this.escapeHtml(this.functionContaining(pc))}()</div>`;
       }
       
-      updateStack() {
-        const stack = this.getStackContents();
-        const stackHTML = stack.map(item => 
-          `<div class="stack-item">
-            <span class="stack-addr">0x${item.address.toString(16).padStart(this.is64bit ? 16 : 8, '0')}:</span>
-            <span class="stack-value">0x${item.value.toString(16).padStart(this.is64bit ? 16 : 8, '0')}</span>
-          </div>`
-        ).join('');
-        if (!window.isPerformanceModeActive) {
-          document.getElementById('stackView').innerHTML = stackHTML;
+      /**
+       * Shows the machine right after trace entry `index` in the register, stack and
+       * assembly views. Everything comes from the trace; nothing is executed or restored,
+       * and the next Step or Run continues from the live state.
+       */
+      showTimelineStep(index) {
+        if (index >= this.trace.length) {
+          this.updateUI();
+          this.highlightCurrentLine();
+          this.highlightCFunction(this.getCurrentPC());
+          return;
+        }
+        this.timelineIndex = index;
+        const entry = this.trace.entry(index);
+        const values = this.trace.registersAt(index);
+        this.updateRegisters(values, this.flagChanges(entry));
+        
+        this.updateCallStack({
+          readRegister: name => values[name],
+          readMemory: (address, size) => this.trace.readMemory(index, address, size)
+        });
+        this.updateVariables();
+        const wordSize = this.is64bit ? 8 : 4;
+        const sp = values[this.is64bit ? 'RSP' : 'ESP'];
+        const stack = [];
+        for (let i = 0; i < this.stackViewLength(sp); i++) {
+          const address = Number(sp) + i * wordSize;
+          try {
+            const bytes = this.trace.readMemory(index, address, wordSize);
+            stack.push({ address, value: this.fromBytes(bytes) });
+          } catch(e) {
+            break;
+          }
         }
+        this.updateStack(stack);
+        this.refreshMemoryView();
+        
+        const pc = Number(values[this.is64bit ? 'RIP' : 'EIP']);
+        this.highlightCurrentLine(pc);
+        this.highlightCFunction(pc);
+        
+        const changes = entry.registers.map(([name, before, after]) =>
+          `<div class="timeline-change">${name}: ${this.formatRegisterValue(name, before)} → ${this.formatRegisterValue(name, after)}</div>`);
+        entry.memory.forEach(write => {
+          changes.push(`<div class="timeline-change">[0x${write.address.toString(16)}]: ` +
+            `${this.formatWatchedValue(write.before)} → ${this.formatWatchedValue(write.after)}</div>`);
+        });
+        document.getElementById('timelineDetails').innerHTML =
+          `<div class="timeline-step">Step ${index + 1} of ${this.trace.length} (instruction ${entry.position + 1})</div>` +
+          `<div><span class="breakpoint-addr">0x${entry.address.toString(16)}</span> ` +
+          `${this.escapeHtml(entry.functionName)}() depth ${entry.depth}: ${this.escapeHtml(entry.instruction)}</div>` +
+          changes.join('');
       }
       
-      
-      updateExecutionTrace() {
-        if (this.executionTrace && this.executionTrace.length > 0) {
-          const traceText = this.executionTrace.join('\n');
-          
-          // Update execution log with enhanced trace data
-          const emuOutputDiv = document.getElementById('emuOutput');
-          emuOutputDiv.textContent = traceText;
-          
-          // Auto-scroll to bottom
-          emuOutputDiv.scrollTop = emuOutputDiv.scrollHeight;
+      // Rewind here: makes the step shown on the timeline the live state again
+      rewindToTimelineStep() {
+        if (this.timelineIndex === null) {
+          return;
         }
+        const position = this.trace.entry(this.timelineIndex).position + 1;
+        if (!this.history.enabled || position < this.history.oldestPosition) {
+          this.reportBreakpointMessage(`Rewind: instruction ${position} is no longer recorded`);
+          return;
+        }
+        this.reverseExecute('Rewind', () => {
+          this.rewindTo(position);
+        });
       }
       
-      highlightCurrentLine() {
-        const pc = this.getCurrentPC();
+      /**
+       * Renders the assembly view with the instruction at `pc` highlighted, plus breakpoint
+       * and Run to Cursor marks. With interleaveSource set, the C source line of each group
+       * of instructions (the function header, with function-level mapping only) is shown
+       * above it, like `objdump -S`, and the one above the current instruction is marked too.
+       */
+      highlightCurrentLine(pc = this.getCurrentPC()) {
         const disasmDiv = document.getElementById('disassembly');
         
         // Get original disassembly text if it's still plain text
@@ -601,17 +2771,64 @@
         const lines = originalText.split('\n');
         const pcHex = pc.toString(16).padStart(8, '0');
         
-        // Convert to HTML with proper highlighting
-        const htmlLines = lines.map(line => {
+        // [classes, address, text] for each row; instruction rows carry their address so a
+        // click can toggle a breakpoint on them
+        const rows = [];
+        let shownSource = null;   // Mapping key of the source row last shown
+        let sourceRow = null;
+        let currentSourceRow = null;
+        lines.forEach(line => {
+          const classes = [];
           if (line.includes(`0x${pcHex}:`)) {
-            return `<div class="highlighted-line">${this.escapeHtml(line)}</div>`;
+            classes.push('highlighted-line');
+          }
+          const addressMatch = line.match(/^0x([0-9a-fA-F]+):/);
+          if (!addressMatch) {
+            shownSource = null; // A function label: start its source over
+            rows.push([classes, null, line]);
+            return;
           }
-          return `<div>${this.escapeHtml(line)}</div>`;
+          const address = parseInt(addressMatch[1], 16);
+          if (this.interleaveSource) {
+            const mapping = this.lineMapping.get(address);
+            const key = mapping ? `${mapping.functionName}:${mapping.type === 'line' ? mapping.line : ''}` : null;
+            if (key !== shownSource) {
+              const text = this.sourceListingLine(mapping);
+              sourceRow = text === null ? null : [['source-line'], null, text];
+              if (sourceRow) {
+                rows.push(sourceRow);
+              }
+              shownSource = key;
+            }
+            if (classes.length > 0) {
+              currentSourceRow = sourceRow;
+            }
+          }
+          const breakpoint = this.userBreakpoints.get(address);
+          if (breakpoint) {
+            classes.push(breakpoint.enabled ? 'breakpoint-line' : 'breakpoint-line breakpoint-disabled');
+          }
+          if (runToCursorTarget && runToCursorTarget.address === address) {
+            classes.push('cursor-line');
+          }
+          rows.push([classes, address, line]);
         });
+        if (currentSourceRow) {
+          currentSourceRow[0].push('current-source-line');
+        }
         
-        disasmDiv.innerHTML = htmlLines.join('');
-        
-       
+        disasmDiv.innerHTML = rows.map(([classes, address, text]) =>
+          `<div${classes.length ? ` class="${classes.join(' ')}"` : ''}${address === null ? '' : ` data-address="${address}"`}>${this.escapeHtml(text)}</div>`).join('');
+      }
+      
+      // The C source row shown above instructions with this line mapping, null if there is none
+      sourceListingLine(mapping) {
+        if (!mapping) {
+          return null;
+        }
+        const line = mapping.type === 'line' ? mapping.line : mapping.functionStart;
+        const text = this.sourceLines[line - 1];
+        return text === undefined ? null : `${String(line).padStart(5)}: ${text}`;
       }
       
       escapeHtml(text) {
@@ -620,16 +2837,25 @@
         return div.innerHTML;
       }
       
-      // Simple, reliable function-level mapping for C code highlighting  
+      /**
+       * Maps instructions to the C source for highlighting and source breakpoints: line by
+       * line from the compiler's line table, or, for binaries without debug info, function
+       * by function by pairing brace-counted C functions with `push rbp` prologues.
+       */
       mapAssemblyToC(cCodeContent, assemblyInstructions) {
         if (!cCodeContent) {
           console.log('No C code content available for mapping');
           return;
         }
+        this.sourceLines = cCodeContent.split('\n'); // For the interleaved assembly listing
+        
+        if (this.createLineMapping(assemblyInstructions) > 0) {
+          return;
+        }
         
-        console.log('Creating function-level C-to-assembly mapping...');
+        console.log('No line table - creating function-level C-to-assembly mapping...');
         
-        const lines = cCodeContent.split('\n');
+        const lines = this.sourceLines;
         const cFunctions = this.extractCFunctions(lines);
         const asmFunctions = this.detectAssemblyFunctionBoundaries(assemblyInstructions);
         
@@ -681,6 +2907,54 @@
         return functions;
       }
       
+      /**
+       * Maps every instruction a line table row covers to its C line. Rows of the startup
+       * and libc stub assembly files are left out: they are not lines in the editor. The
+       * enclosing function comes from the symbol table and spans the lines of its rows.
+       * @returns {number} Instructions mapped, 0 without a line table
+       */
+      createLineMapping(assemblyInstructions) {
+        const ranges = []; // { start, end, line, functionName }, one per row of C code
+        this.lineTable.forEach((row, i) => {
+          const next = this.lineTable[i + 1];
+          if (row.endSequence || !next || next.address <= row.address || /\.s$/i.test(row.file)) {
+            return;
+          }
+          const owner = this.functionBoundsAt(row.address);
+          ranges.push({ start: row.address, end: next.address, line: row.line, functionName: owner ? owner.name : 'unknown' });
+        });
+        
+        const functionLines = new Map(); // Function name -> { first, last } line
+        ranges.forEach(range => {
+          const lines = functionLines.get(range.functionName) || { first: range.line, last: range.line };
+          lines.first = Math.min(lines.first, range.line);
+          lines.last = Math.max(lines.last, range.line);
+          functionLines.set(range.functionName, lines);
+        });
+        
+        let mappedCount = 0;
+        assemblyInstructions.forEach(instruction => {
+          const address = this.getInstructionAddress(instruction);
+          const range = ranges.find(r => r.start <= address && address < r.end);
+          if (!range) {
+            return;
+          }
+          const lines = functionLines.get(range.functionName);
+          this.lineMapping.set(address, {
+            functionName: range.functionName,
+            functionStart: lines.first,
+            functionEnd: lines.last,
+            line: range.line,
+            type: 'line'
+          });
+          mappedCount++;
+        });
+        if (mappedCount > 0) {
+          console.log(`✓ Line mapping complete: ${mappedCount} instructions mapped to C lines`);
+        }
+        return mappedCount;
+      }
+      
       createSimpleFunctionMapping(cFunctions, asmFunctions, assemblyInstructions) {
         console.log('Creating simple function-level mapping...');
         
@@ -769,6 +3043,7 @@
       }
       
       
+      // Highlights the C line of an instruction, or its whole function when only function-level mapping exists
       highlightCFunction(assemblyAddress) {
         const functionInfo = this.lineMapping.get(assemblyAddress);
         
@@ -777,25 +3052,29 @@
         }
 
         const currentFunctionName = functionInfo.functionName;
+        const firstLine = functionInfo.type === 'line' ? functionInfo.line : functionInfo.functionStart;
+        const lastLine = functionInfo.type === 'line' ? functionInfo.line : functionInfo.functionEnd;
 
-        // Only update highlighting if we've switched functions and not in performance mode
-        if (!window.isPerformanceModeActive && this.currentHighlightedFunction !== currentFunctionName) {
+        // Only update highlighting if we've moved to another line or function and not in performance mode
+        if (!window.isPerformanceModeActive &&
+            (this.currentHighlightedFunction !== currentFunctionName || this.currentHighlightedLine !== firstLine)) {
             this.clearCHighlight();
 
-            // Highlight the entire function using CodeMirror's addLineClass
-            for (let lineNum = functionInfo.functionStart; lineNum <= functionInfo.functionEnd; lineNum++) {
+            // Highlight using CodeMirror's addLineClass
+            for (let lineNum = firstLine; lineNum <= lastLine; lineNum++) {
                 const lineIndex = lineNum - 1; // CodeMirror uses 0-based indexing
                 sourceCodeEditor.addLineClass(lineIndex, 'background', 'highlight-line');
             }
 
             this.currentHighlightedFunction = currentFunctionName;
-            console.log(`✓ Highlighting C function ${currentFunctionName} (lines ${functionInfo.functionStart}-${functionInfo.functionEnd})`);
+            this.currentHighlightedLine = firstLine;
+            console.log(`✓ Highlighting C function ${currentFunctionName} (lines ${firstLine}-${lastLine})`);
         }
       }
       
       clearCHighlight() {
         if (!window.isPerformanceModeActive && sourceCodeEditor) {
-          // Clear all lines since we're doing function-level highlighting
+          // Clear all lines; a function-level highlight spans many
           const lineCount = sourceCodeEditor.lineCount();
           for (let i = 0; i < lineCount; i++) {
             sourceCodeEditor.removeLineClass(i, 'background', 'highlight-line');
@@ -803,10 +3082,105 @@
         }
         if (!window.isPerformanceModeActive) {
           this.currentHighlightedFunction = null;
+          this.currentHighlightedLine = null;
         }
       }
     }
     
+    // Fast run: instructions executed per event-loop turn, minimum ms between display refreshes,
+    // and an emu_start `until` address no program reaches (native runs end from HOOK_BLOCK instead)
+    UnicornDebugger.RUN_BATCH_SIZE = 100000;
+    UnicornDebugger.RUN_REFRESH_INTERVAL = 100;
+    UnicornDebugger.RUN_UNTIL_NEVER = 0xffffffff;
+    
+    // Batch size of a Run that single-steps every instruction for the trace, about half a second
+    UnicornDebugger.RECORDED_BATCH_SIZE = 500;
+    
+    // Instructions a native run never executes: HOOK_CODE emulates them, or their interrupt has to stop the Run
+    UnicornDebugger.HOOKED_MNEMONICS = ['syscall', 'hlt', 'int', 'int3', 'int1', 'into'];
+    
+    // Instruction budget of a Run when neither the session input nor a test definition sets one
+    UnicornDebugger.DEFAULT_INSTRUCTION_BUDGET = 1000000;
+    
+    // Buttons that move execution from the current instruction and are disabled during a Run
+    UnicornDebugger.STEP_BUTTON_IDS = ['stepBackBtn', 'reverseContinueBtn', 'stepBtn', 'stepOverBtn', 'stepOutBtn', 'runToCursorBtn', 'timelineRewindBtn'];
+    
+    // Register grid order; getAllRegisters() adds the FS/GS base, XMM and x87 registers after these
+    UnicornDebugger.GENERAL_REGISTERS_64 = ['RAX', 'RBX', 'RCX', 'RDX', 'RSI', 'RDI', 'RBP', 'RSP',
+      'R8', 'R9', 'R10', 'R11', 'R12', 'R13', 'R14', 'R15', 'RIP', 'RFLAGS'];
+    UnicornDebugger.GENERAL_REGISTERS_32 = ['EAX', 'EBX', 'ECX', 'EDX', 'ESI', 'EDI', 'EBP', 'ESP', 'EIP', 'EFLAGS'];
+    UnicornDebugger.SEGMENT_REGISTERS = ['CS', 'SS', 'DS', 'ES', 'FS', 'GS'];
+    
+    // RFLAGS bits shown in the flag strip, low to high
+    UnicornDebugger.FLAG_BITS = { CF: 0, PF: 2, AF: 4, ZF: 6, SF: 7, TF: 8, IF: 9, DF: 10, OF: 11 };
+    UnicornDebugger.FLAG_NAMES = {
+      CF: 'Carry', PF: 'Parity', AF: 'Auxiliary carry', ZF: 'Zero', SF: 'Sign',
+      TF: 'Trap', IF: 'Interrupt enable', DF: 'Direction', OF: 'Overflow'
+    };
+    
+    // Conditional jumps by Capstone mnemonic: the flags they read and when they jump
+    UnicornDebugger.JUMP_CONDITIONS = {
+      jo: { flags: ['OF'], description: 'OF = 1', test: f => f.OF === 1 },
+      jno: { flags: ['OF'], description: 'OF = 0', test: f => f.OF === 0 },
+      jb: { flags: ['CF'], description: 'CF = 1 (unsigned below)', test: f => f.CF === 1 },
+      jae: { flags: ['CF'], description: 'CF = 0 (unsigned above or equal)', test: f => f.CF === 0 },
+      je: { flags: ['ZF'], description: 'ZF = 1 (equal)', test: f => f.ZF === 1 },
+      jne: { flags: ['ZF'], description: 'ZF = 0 (not equal)', test: f => f.ZF === 0 },
+      jbe: { flags: ['CF', 'ZF'], description: 'CF = 1 or ZF = 1 (unsigned below or equal)', test: f => f.CF === 1 || f.ZF === 1 },
+      ja: { flags: ['CF', 'ZF'], description: 'CF = 0 and ZF = 0 (unsigned above)', test: f => f.CF === 0 && f.ZF === 0 },
+      js: { flags: ['SF'], description: 'SF = 1 (negative)', test: f => f.SF === 1 },
+      jns: { flags: ['SF'], description: 'SF = 0 (not negative)', test: f => f.SF === 0 },
+      jp: { flags: ['PF'], description: 'PF = 1 (parity even)', test: f => f.PF === 1 },
+      jnp: { flags: ['PF'], description: 'PF = 0 (parity odd)', test: f => f.PF === 0 },
+      jl: { flags: ['SF', 'OF'], description: 'SF ≠ OF (signed less)', test: f => f.SF !== f.OF },
+      jge: { flags: ['SF', 'OF'], description: 'SF = OF (signed greater or equal)', test: f => f.SF === f.OF },
+      jle: { flags: ['ZF', 'SF', 'OF'], description: 'ZF = 1 or SF ≠ OF (signed less or equal)', test: f => f.ZF === 1 || f.SF !== f.OF },
+      jg: { flags: ['ZF', 'SF', 'OF'], description: 'ZF = 0 and SF = OF (signed greater)', test: f => f.ZF === 0 && f.SF === f.OF }
+    };
+    
+    // Deepest backtrace getCallStack() walks; deeper recursion shows only its innermost frames
+    UnicornDebugger.MAX_CALL_STACK_FRAMES = 256;
+    
+    // Rows of 16 bytes in the Memory tab, and how its type selector decodes each row
+    UnicornDebugger.MEMORY_VIEW_ROWS = 16;
+    UnicornDebugger.MEMORY_TYPES = {
+      i8: { size: 1, read: 'getInt8' },
+      i16: { size: 2, read: 'getInt16' },
+      i32: { size: 4, read: 'getInt32' },
+      i64: { size: 8, read: 'getBigInt64' },
+      float: { size: 4, read: 'getFloat32' },
+      double: { size: 8, read: 'getFloat64' }
+    };
+    
+    // Registers the stack view recognizes in prologues: System V integer argument registers
+    // in order, and the callee-saved registers a function must restore
+    UnicornDebugger.ARGUMENT_REGISTERS_64 = ['RDI', 'RSI', 'RDX', 'RCX', 'R8', 'R9'];
+    UnicornDebugger.CALLEE_SAVED_64 = ['RBX', 'R12', 'R13', 'R14', 'R15'];
+    UnicornDebugger.CALLEE_SAVED_32 = ['EBX', 'ESI', 'EDI'];
+    
+    // Fewest words the live stack view shows, even when the frames on it are smaller
+    UnicornDebugger.MIN_STACK_VIEW_WORDS = 16;
+    
+    // Stack words shown for a selected frame; large local arrays are cut off
+    UnicornDebugger.MAX_FRAME_SLICE_WORDS = 64;
+    
+    // Trace entries shown in the Execution Log; the timeline reaches all of them
+    UnicornDebugger.TRACE_LOG_LINES = 1000;
+    
+    // DWARF register numbers to names, as in DW_OP_reg/breg and DW_AT_frame_base
+    UnicornDebugger.DWARF_REGISTERS_64 = ['RAX', 'RDX', 'RCX', 'RBX', 'RSI', 'RDI', 'RBP', 'RSP',
+      'R8', 'R9', 'R10', 'R11', 'R12', 'R13', 'R14', 'R15', 'RIP'];
+    UnicornDebugger.DWARF_REGISTERS_32 = ['EAX', 'ECX', 'EDX', 'EBX', 'ESP', 'EBP', 'ESI', 'EDI'];
+    
+    // DW_AT_encoding values of base types the Variables panel formats
+    UnicornDebugger.DWARF_ENCODINGS = { boolean: 0x02, float: 0x04, signed: 0x05, signedChar: 0x06, unsigned: 0x07, unsignedChar: 0x08 };
+    
+    // How much of a variable the Variables panel shows: array elements, nested
+    // arrays and structs, and characters of a string a pointer points to
+    UnicornDebugger.MAX_VARIABLE_ELEMENTS = 16;
+    UnicornDebugger.MAX_VARIABLE_NESTING = 3;
+    UnicornDebugger.MAX_STRING_PREVIEW = 64;
+    
     /**
      * Advanced ELF section disassembler with function symbol resolution and call tracing.
      * Processes compiled machine code bytes into human-readable assembly with enhanced
@@ -1116,6 +3490,53 @@
       return mappedFunctions;
     }
 
+    /**
+     * Lays out the initial process stack the way the Linux kernel does at exec time:
+     * argc, the NULL-terminated argv[] and envp[] vectors and an empty auxiliary
+     * vector, with the strings they point to stored above them.
+     *
+     * @param {Object} engine - Unicorn Engine instance with the stack already mapped
+     * @param {boolean} is64bit - Selects 8-byte or 4-byte pointers
+     * @param {number} stackTop - Highest stack address to use; strings are placed just below it
+     * @param {string[]} argv - Program arguments, argv[0] being the program name
+     * @param {string[]} envp - Environment entries in NAME=value form
+     * @returns {{sp: number, argc: number, argv: number, envp: number}} Entry stack pointer and vector addresses
+     */
+    function setupProcessStack(engine, is64bit, stackTop, argv, envp) {
+      const ptrSize = is64bit ? 8 : 4;
+      const encoder = new TextEncoder();
+      let cursor = stackTop;
+      const storeString = (text) => {
+        const bytes = encoder.encode(text + '\0');
+        cursor -= bytes.length;
+        engine.mem_write(cursor, bytes);
+        return cursor;
+      };
+      const argvPtrs = argv.map(storeString);
+      const envpPtrs = envp.map(storeString);
+      
+      // argc, argv..., NULL, envp..., NULL, AT_NULL auxv entry (type 0, value 0)
+      const words = [argv.length, ...argvPtrs, 0, ...envpPtrs, 0, 0, 0];
+      const sp = Math.floor((cursor - words.length * ptrSize) / 16) * 16; // ABI: 16-byte aligned at entry
+      const block = new Uint8Array(words.length * ptrSize);
+      const blockView = new DataView(block.buffer);
+      words.forEach((word, i) => {
+        if(is64bit) {
+          blockView.setBigUint64(i * 8, BigInt(word), true);
+        } else {
+          blockView.setUint32(i * 4, word, true);
+        }
+      });
+      engine.mem_write(sp, block);
+      
+      return {
+        sp,
+        argc: argv.length,
+        argv: sp + ptrSize,
+        envp: sp + ptrSize * (argv.length + 2)
+      };
+    }
+
     // --- ELF PARSER (same as before) ---
     function readUint(view, off, size, le) {
       if (size === 1) return view.getUint8(off, le);
@@ -1174,9 +3595,776 @@
         const entsize   = ptr===4?u32(off+36):u64(off+56);
         sh.push({nameOff,type,flags,addr,offset,size,link,info,addralign,entsize});
       }
-      const strsh = sh[eh.shstrndx];
-      sh.forEach(s=>s.name = getString(view, strsh.offset + s.nameOff));
-      return {elfHeader:eh, programHeaders:ph, sectionHeaders:sh, view};
+      const strsh = sh[eh.shstrndx]; // Absent in section-less (fully stripped) executables
+      sh.forEach(s=>s.name = strsh ? getString(view, strsh.offset + s.nameOff) : '');
+      return {elfHeader:eh, programHeaders:ph, sectionHeaders:sh, view};
+    }
+
+    // ELF section indices, section types and relocation types used by the loader
+    const SHN_UNDEF = 0;
+    const SHN_ABS = 0xfff1;
+    const SHN_COMMON = 0xfff2;
+    const STT_OBJECT = 1;
+    const STT_FUNC = 2;
+    const SHT_RELA = 4;
+    const SHT_NOBITS = 8;
+    const SHT_REL = 9;
+    
+    const X86_64_RELOCATION_NAMES = {
+      1: 'R_X86_64_64', 2: 'R_X86_64_PC32', 4: 'R_X86_64_PLT32', 9: 'R_X86_64_GOTPCREL',
+      10: 'R_X86_64_32', 11: 'R_X86_64_32S', 41: 'R_X86_64_GOTPCRELX', 42: 'R_X86_64_REX_GOTPCRELX'
+    };
+    const I386_RELOCATION_NAMES = { 1: 'R_386_32', 2: 'R_386_PC32', 4: 'R_386_PLT32' };
+
+    // Read every entry of a symbol table section; the array index is the symbol index
+    function readSymbolTable(parsed, symtabSection) {
+      const {sectionHeaders, view, elfHeader} = parsed;
+      const is64bit = elfHeader.class === 'ELF64';
+      const strtabSection = sectionHeaders[symtabSection.link];
+      const entrySize = is64bit ? 24 : 16;
+      const symbols = [];
+      
+      for(let off = symtabSection.offset; off + entrySize <= symtabSection.offset + symtabSection.size; off += entrySize) {
+        const nameOffset = view.getUint32(off, true);
+        const info = view.getUint8(off + (is64bit ? 4 : 12));
+        symbols.push({
+          name: nameOffset && strtabSection ? getString(view, strtabSection.offset + nameOffset) : '',
+          value: is64bit ? readUint(view, off + 8, 8, true) : view.getUint32(off + 4, true),
+          size: is64bit ? readUint(view, off + 16, 8, true) : view.getUint32(off + 8, true),
+          type: info & 0xf,
+          bind: info >> 4,
+          shndx: view.getUint16(off + (is64bit ? 6 : 14), true)
+        });
+      }
+      return symbols;
+    }
+
+    /**
+     * Applies every REL/RELA section of a relocatable object to the sections already
+     * loaded into the emulator, the way a static linker would.
+     *
+     * @param {Object} engine - Unicorn Engine instance holding the loaded sections
+     * @param {Object} parsed - Result of parseELF() for the object file
+     * @param {Map<number, number>} sectionBases - Section index -> load address
+     * @param {Object} options - Link-time services provided by the loader
+     * @param {function(string): ?number} options.resolveUndefined - Address for an SHN_UNDEF symbol, or null
+     * @param {function(number, number): number} options.allocate - Reserve zeroed memory (size, alignment)
+     *   for GOT slots and SHN_COMMON symbols
+     *
+     * @description
+     * **Supported Types:**
+     * - x86_64: R_X86_64_64, PC32, PLT32, 32, 32S and GOTPCREL (plus the GOTPCRELX variants)
+     * - i386: R_386_32, PC32 and PLT32 (REL sections, implicit addends)
+     *
+     * Symbols resolve against their own section (`st_shndx`); undefined ones go through
+     * `resolveUndefined` (program functions, then the libc shim). Relocations aimed at
+     * sections that are not loaded, such as debug info, are skipped.
+     *
+     * @returns {{applied: number, unresolved: Array<Object>, commonSymbols: Map<string, Object>}}
+     *   Count of patched sites, a description of every relocation that could not be applied,
+     *   and name -> { address, size } of the COMMON symbols that were given storage
+     */
+    function applyRelocations(engine, parsed, sectionBases, options) {
+      const {sectionHeaders, view, elfHeader} = parsed;
+      const is64bit = elfHeader.class === 'ELF64';
+      const typeNames = is64bit ? X86_64_RELOCATION_NAMES : I386_RELOCATION_NAMES;
+      const symbolTables = new Map(); // symtab section index -> symbols
+      const gotSlots = new Map();     // symbol address -> GOT slot address
+      const commonBlocks = new Map(); // symbol index -> allocated address
+      const result = { applied: 0, unresolved: [], commonSymbols: new Map() };
+      
+      const gotSlotFor = (address) => {
+        if(!gotSlots.has(address)) {
+          const slot = options.allocate(8, 8);
+          const bytes = new Uint8Array(8);
+          new DataView(bytes.buffer).setBigUint64(0, BigInt(address), true);
+          engine.mem_write(slot, bytes);
+          gotSlots.set(address, slot);
+        }
+        return gotSlots.get(address);
+      };
+      
+      const symbolAddress = (symbols, index) => {
+        const symbol = symbols[index];
+        if(!symbol) return null;
+        if(symbol.shndx === SHN_UNDEF) return index === 0 ? 0 : options.resolveUndefined(symbol.name);
+        if(symbol.shndx === SHN_ABS) return symbol.value;
+        if(symbol.shndx === SHN_COMMON) {
+          if(!commonBlocks.has(index)) {
+            commonBlocks.set(index, options.allocate(symbol.size, symbol.value || 8)); // st_value holds the alignment
+            result.commonSymbols.set(symbol.name, { address: commonBlocks.get(index), size: symbol.size });
+          }
+          return commonBlocks.get(index);
+        }
+        return sectionBases.has(symbol.shndx) ? sectionBases.get(symbol.shndx) + symbol.value : null;
+      };
+      
+      sectionHeaders.forEach(relSection => {
+        if(relSection.type !== SHT_RELA && relSection.type !== SHT_REL) return;
+        if(!sectionBases.has(relSection.info)) {
+          console.log(`Skipping ${relSection.name}: target section is not loaded`);
+          return;
+        }
+        if(!symbolTables.has(relSection.link)) {
+          symbolTables.set(relSection.link, readSymbolTable(parsed, sectionHeaders[relSection.link]));
+        }
+        const symbols = symbolTables.get(relSection.link);
+        const targetBase = sectionBases.get(relSection.info);
+        const targetName = sectionHeaders[relSection.info].name;
+        const hasAddend = relSection.type === SHT_RELA;
+        const entrySize = is64bit ? (hasAddend ? 24 : 16) : (hasAddend ? 12 : 8);
+        
+        for(let off = relSection.offset; off + entrySize <= relSection.offset + relSection.size; off += entrySize) {
+          const offset = is64bit ? readUint(view, off, 8, true) : view.getUint32(off, true);
+          const info = is64bit ? readUint(view, off + 8, 8, true) : view.getUint32(off + 4, true);
+          const symbolIndex = is64bit ? Math.floor(info / 0x100000000) : info >>> 8;
+          const type = is64bit ? info % 0x100000000 : info & 0xff;
+          const P = targetBase + offset;
+          // REL sections keep the addend in the bytes being patched
+          const A = hasAddend ?
+            (is64bit ? Number(view.getBigInt64(off + 16, true)) : view.getInt32(off + 8, true)) :
+            new DataView(engine.mem_read(P, 4).buffer).getInt32(0, true);
+          const S = symbolAddress(symbols, symbolIndex);
+          const symbolName = symbols[symbolIndex] ? symbols[symbolIndex].name : `#${symbolIndex}`;
+          const site = `${targetName}+0x${offset.toString(16)}`;
+          
+          const report = (reason) => {
+            result.unresolved.push({ site, type: typeNames[type] || `type ${type}`, symbol: symbolName, reason });
+            console.log(`Unresolved relocation at ${site}: ${typeNames[type] || type} against '${symbolName}' (${reason})`);
+          };
+          
+          if(!typeNames[type]) {
+            report('unsupported relocation type');
+            continue;
+          }
+          if(S === null || S === undefined) {
+            report('undefined symbol');
+            continue;
+          }
+          
+          let value;
+          let width = 4;
+          let signed = true;
+          switch(is64bit ? type : `i386:${type}`) {
+            case 1:  // R_X86_64_64: S + A
+              value = BigInt.asUintN(64, BigInt(S) + BigInt(A));
+              width = 8;
+              break;
+            case 2:  // R_X86_64_PC32: S + A - P
+            case 4:  // R_X86_64_PLT32: L + A - P, with the symbol itself standing in for its PLT entry
+            case 'i386:2':
+            case 'i386:4':
+              value = S + A - P;
+              break;
+            case 9:  // R_X86_64_GOTPCREL: G + GOT + A - P
+            case 41:
+            case 42:
+              value = gotSlotFor(S) + A - P;
+              break;
+            case 10: // R_X86_64_32: zero-extended S + A
+            case 'i386:1':
+              value = is64bit ? S + A : (S + A) >>> 0;
+              signed = false;
+              break;
+            case 11: // R_X86_64_32S: sign-extended S + A
+              value = S + A;
+              break;
+          }
+          
+          const bytes = new Uint8Array(width);
+          const patch = new DataView(bytes.buffer);
+          if(width === 8) {
+            patch.setBigUint64(0, value, true);
+          } else if(signed ? (value < -0x80000000 || value > 0x7fffffff) : (value < 0 || value > 0xffffffff)) {
+            report(`value 0x${value.toString(16)} does not fit in 32 bits`);
+            continue;
+          } else if(signed) {
+            patch.setInt32(0, value, true);
+          } else {
+            patch.setUint32(0, value, true);
+          }
+          engine.mem_write(P, bytes);
+          result.applied++;
+        }
+      });
+      
+      return result;
+    }
+
+    /**
+     * Copy of a non-allocated section such as .debug_line with the object file's
+     * relocations for it applied: references to code become load addresses, references
+     * to other debug sections become offsets into them.
+     *
+     * @param {Object} parsed - Result of parseELF()
+     * @param {string} name - Section name
+     * @param {Map<number, number>} sectionBases - Section index -> load address
+     * @returns {?DataView} null when the file has no such section
+     */
+    function readDebugSection(parsed, name, sectionBases) {
+      const {sectionHeaders, view, elfHeader} = parsed;
+      const is64bit = elfHeader.class === 'ELF64';
+      const index = sectionHeaders.findIndex(sh => sh.name === name);
+      if(index < 0 || sectionHeaders[index].type === SHT_NOBITS) return null;
+      const section = sectionHeaders[index];
+      const data = new DataView(view.buffer.slice(section.offset, section.offset + section.size));
+
+      sectionHeaders.forEach(relSection => {
+        if(relSection.info !== index || (relSection.type !== SHT_RELA && relSection.type !== SHT_REL)) return;
+        const symbols = readSymbolTable(parsed, sectionHeaders[relSection.link]);
+        const hasAddend = relSection.type === SHT_RELA;
+        const entrySize = is64bit ? (hasAddend ? 24 : 16) : (hasAddend ? 12 : 8);
+
+        for(let off = relSection.offset; off + entrySize <= relSection.offset + relSection.size; off += entrySize) {
+          const offset = is64bit ? readUint(view, off, 8, true) : view.getUint32(off, true);
+          const info = is64bit ? readUint(view, off + 8, 8, true) : view.getUint32(off + 4, true);
+          const symbol = symbols[is64bit ? Math.floor(info / 0x100000000) : info >>> 8];
+          const type = is64bit ? info % 0x100000000 : info & 0xff;
+          // Symbols in sections that are not loaded (the other debug sections) stand for their offset
+          const S = !symbol ? 0 : sectionBases.has(symbol.shndx) ? sectionBases.get(symbol.shndx) + symbol.value : symbol.value;
+          const wide = is64bit && type === 1;                                   // R_X86_64_64
+          if(!wide && !(is64bit ? type === 10 || type === 11 : type === 1)) continue; // R_X86_64_32/32S, R_386_32
+          // TinyCC leaves code offsets in the field with a zero addend even in RELA sections,
+          // where other compilers zero the field, so the field always adds to the addend
+          const field = wide ? Number(data.getBigUint64(offset, true)) : data.getInt32(offset, true);
+          const A = field + (hasAddend ? (is64bit ? Number(view.getBigInt64(off + 16, true)) : view.getInt32(off + 8, true)) : 0);
+          if(wide) {
+            data.setBigUint64(offset, BigInt.asUintN(64, BigInt(S) + BigInt(A)), true);
+          } else {
+            data.setUint32(offset, (S + A) >>> 0, true);
+          }
+        }
+      });
+      return data;
+    }
+
+    // Sequential reader over a debug section: fixed-size fields, LEB128 numbers and C strings
+    function dwarfCursor(data, offset) {
+      return {
+        view: data,
+        offset,
+        u8() { return data.getUint8(this.offset++); },
+        u16() { this.offset += 2; return data.getUint16(this.offset - 2, true); },
+        u32() { this.offset += 4; return data.getUint32(this.offset - 4, true); },
+        u64() { this.offset += 8; return readUint(data, this.offset - 8, 8, true); },
+        uleb() {
+          let value = 0, scale = 1, byte;
+          do {
+            byte = this.u8();
+            value += (byte & 0x7f) * scale;
+            scale *= 128;
+          } while(byte & 0x80);
+          return value;
+        },
+        sleb() {
+          let value = 0, scale = 1, byte;
+          do {
+            byte = this.u8();
+            value += (byte & 0x7f) * scale;
+            scale *= 128;
+          } while(byte & 0x80);
+          return byte & 0x40 ? value - scale : value;
+        },
+        string() {
+          const text = getString(data, this.offset);
+          this.offset += text.length + 1;
+          return text;
+        }
+      };
+    }
+
+    // DWARF attribute forms (DW_FORM_*)
+    const DW_FORM = {
+      addr: 0x01, block2: 0x03, block4: 0x04, data2: 0x05, data4: 0x06, data8: 0x07, string: 0x08,
+      block: 0x09, block1: 0x0a, data1: 0x0b, flag: 0x0c, sdata: 0x0d, strp: 0x0e, udata: 0x0f,
+      ref_addr: 0x10, ref1: 0x11, ref2: 0x12, ref4: 0x13, ref8: 0x14, ref_udata: 0x15, indirect: 0x16,
+      sec_offset: 0x17, exprloc: 0x18, flag_present: 0x19, data16: 0x1e, line_strp: 0x1f,
+      ref_sig8: 0x20, implicit_const: 0x21
+    };
+    const DW_LNCT_PATH = 1;
+
+    /**
+     * Reads one attribute value of form `form` at the cursor.
+     * @param {Object} unit - { offsetSize, addressSize, unitOffset, strings } of the unit being read;
+     *   strings maps DW_FORM.strp and DW_FORM.line_strp to their sections
+     * @param {number} [implicitValue] - The abbreviation's value for DW_FORM.implicit_const
+     * @returns {number|string|boolean|Uint8Array|null} Numbers for constants, addresses and
+     *   offsets (references as .debug_info offsets), bytes for blocks and expressions
+     * @throws {Error} For forms this reader does not know
+     */
+    function readDwarfForm(cursor, form, unit, implicitValue) {
+      const offset = () => unit.offsetSize === 8 ? cursor.u64() : cursor.u32();
+      const bytes = length => {
+        const view = cursor.view;
+        cursor.offset += length;
+        return new Uint8Array(view.buffer, view.byteOffset + cursor.offset - length, length);
+      };
+      switch(form) {
+        case DW_FORM.addr: return unit.addressSize === 8 ? cursor.u64() : cursor.u32();
+        case DW_FORM.data1: return cursor.u8();
+        case DW_FORM.data2: return cursor.u16();
+        case DW_FORM.data4: return cursor.u32();
+        case DW_FORM.data8: return cursor.u64();
+        case DW_FORM.data16: bytes(16); return null;
+        case DW_FORM.sdata: return cursor.sleb();
+        case DW_FORM.udata: return cursor.uleb();
+        case DW_FORM.flag: return cursor.u8() !== 0;
+        case DW_FORM.flag_present: return true;
+        case DW_FORM.implicit_const: return implicitValue;
+        case DW_FORM.string: return cursor.string();
+        case DW_FORM.strp:
+        case DW_FORM.line_strp: {
+          const at = offset();
+          return unit.strings[form] ? getString(unit.strings[form], at) : '';
+        }
+        case DW_FORM.ref1: return unit.unitOffset + cursor.u8();
+        case DW_FORM.ref2: return unit.unitOffset + cursor.u16();
+        case DW_FORM.ref4: return unit.unitOffset + cursor.u32();
+        case DW_FORM.ref8: return unit.unitOffset + cursor.u64();
+        case DW_FORM.ref_udata: return unit.unitOffset + cursor.uleb();
+        case DW_FORM.ref_addr: return unit.version <= 2 ? (unit.addressSize === 8 ? cursor.u64() : cursor.u32()) : offset();
+        case DW_FORM.ref_sig8: bytes(8); return null;
+        case DW_FORM.sec_offset: return offset();
+        case DW_FORM.block1: return bytes(cursor.u8());
+        case DW_FORM.block2: return bytes(cursor.u16());
+        case DW_FORM.block4: return bytes(cursor.u32());
+        case DW_FORM.block:
+        case DW_FORM.exprloc: return bytes(cursor.uleb());
+        case DW_FORM.indirect: return readDwarfForm(cursor, cursor.uleb(), unit, implicitValue);
+      }
+      throw new Error(`Unsupported DWARF form 0x${form.toString(16)}`);
+    }
+
+    /**
+     * Decodes the line number programs of .debug_line (DWARF 2 to 5; `tcc -gdwarf`
+     * writes version 5) into the rows of the line table.
+     *
+     * @param {Object} parsed - Result of parseELF()
+     * @param {Map<number, number>} sectionBases - Section index -> load address, for object files
+     * @returns {Array<{address: number, file: string, line: number, endSequence: boolean}>}
+     *   Rows in program order. A row covers the addresses up to the next row; an
+     *   endSequence row only marks the end of the previous one. Empty without debug info.
+     */
+    function parseDebugLine(parsed, sectionBases) {
+      const data = readDebugSection(parsed, '.debug_line', sectionBases);
+      if(!data) return [];
+      const strings = {
+        [DW_FORM.line_strp]: readDebugSection(parsed, '.debug_line_str', sectionBases),
+        [DW_FORM.strp]: readDebugSection(parsed, '.debug_str', sectionBases)
+      };
+      const rows = [];
+
+      for(let unitStart = 0; unitStart < data.byteLength;) {
+        const cursor = dwarfCursor(data, unitStart);
+        let unitLength = cursor.u32();
+        const offsetSize = unitLength === 0xffffffff ? 8 : 4;
+        if(offsetSize === 8) unitLength = cursor.u64();
+        const unitEnd = cursor.offset + unitLength;
+        unitStart = unitEnd;
+        const readOffset = () => offsetSize === 8 ? cursor.u64() : cursor.u32();
+
+        const version = cursor.u16();
+        if(version < 2 || version > 5) {
+          console.log(`Skipping .debug_line unit of unsupported DWARF version ${version}`);
+          continue;
+        }
+        const unit = { version, offsetSize, addressSize: 0, unitOffset: 0, strings };
+        if(version >= 5) {
+          unit.addressSize = cursor.u8();
+          cursor.u8(); // segment_selector_size
+        }
+        const headerLength = readOffset();
+        const programStart = cursor.offset + headerLength;
+        const minInstructionLength = cursor.u8();
+        if(version >= 4) cursor.u8(); // maximum_operations_per_instruction, only meaningful for VLIW
+        cursor.u8(); // default_is_stmt
+        const lineBase = (cursor.u8() << 24) >> 24;
+        const lineRange = cursor.u8();
+        const opcodeBase = cursor.u8();
+        const argumentCounts = [0];
+        for(let i = 1; i < opcodeBase; i++) argumentCounts.push(cursor.u8());
+
+        // Versions 2-4 number files from 1 with inline strings; version 5 from 0 with self-describing entries
+        let files;
+        if(version < 5) {
+          while(cursor.string()) {} // include_directories
+          files = [''];
+          for(let name = cursor.string(); name; name = cursor.string()) {
+            files.push(name);
+            cursor.uleb(); cursor.uleb(); cursor.uleb(); // directory index, modification time, length
+          }
+        } else {
+          const readEntries = () => {
+            const formats = [];
+            for(let count = cursor.u8(); count > 0; count--) formats.push([cursor.uleb(), cursor.uleb()]);
+            const entries = [];
+            for(let count = cursor.uleb(); count > 0; count--) {
+              let path = '';
+              formats.forEach(([content, form]) => {
+                const value = readDwarfForm(cursor, form, unit);
+                if(content === DW_LNCT_PATH) path = value;
+              });
+              entries.push(path);
+            }
+            return entries;
+          };
+          readEntries(); // directories
+          files = readEntries();
+        }
+
+        // The line number state machine; only the registers the debugger uses are kept
+        cursor.offset = programStart;
+        let address = 0, file = 1, line = 1;
+        let sequenceStart = 0, sequenceRows = rows.length;
+        const emit = (endSequence) => {
+          // TinyCC writes no row for the first instruction when its line is still the initial
+          // line 1 (a function declared on the first line of the file); supply it
+          if(rows.length === sequenceRows && address > sequenceStart && !endSequence) {
+            rows.push({ address: sequenceStart, file: files[file] || '', line: 1, endSequence: false });
+          }
+          rows.push({ address, file: files[file] || '', line, endSequence });
+        };
+        while(cursor.offset < unitEnd) {
+          const opcode = cursor.u8();
+          if(opcode >= opcodeBase) {              // Special opcode: advance address and line, add a row
+            const adjusted = opcode - opcodeBase;
+            address += Math.floor(adjusted / lineRange) * minInstructionLength;
+            line += lineBase + adjusted % lineRange;
+            emit(false);
+            continue;
+          }
+          switch(opcode) {
+            case 0: {                              // Extended opcode
+              const length = cursor.uleb();
+              const end = cursor.offset + length;
+              const extended = cursor.u8();
+              if(extended === 1) {                 // DW_LNE_end_sequence
+                emit(true);
+                address = 0; file = 1; line = 1;
+                sequenceRows = rows.length;
+              } else if(extended === 2) {          // DW_LNE_set_address
+                address = length - 1 === 8 ? cursor.u64() : cursor.u32();
+                if(rows.length === sequenceRows) sequenceStart = address;
+              } else if(extended === 3) {          // DW_LNE_define_file (before version 5)
+                files.push(cursor.string());
+              }
+              cursor.offset = end;
+              break;
+            }
+            case 1: emit(false); break;                                    // DW_LNS_copy
+            case 2: address += cursor.uleb() * minInstructionLength; break; // DW_LNS_advance_pc
+            case 3: line += cursor.sleb(); break;                          // DW_LNS_advance_line
+            case 4: file = cursor.uleb(); break;                           // DW_LNS_set_file
+            case 8:                                                        // DW_LNS_const_add_pc
+              address += Math.floor((255 - opcodeBase) / lineRange) * minInstructionLength;
+              break;
+            case 9: address += cursor.u16(); break;                        // DW_LNS_fixed_advance_pc
+            default:                               // Column, flags, ISA: skip their operands
+              for(let i = 0; i < argumentCounts[opcode]; i++) cursor.uleb();
+          }
+        }
+      }
+      return rows;
+    }
+
+    // DWARF tags and attributes the variable inspector reads (DW_TAG_*, DW_AT_*)
+    const DW_TAG = {
+      array_type: 0x01, enumeration_type: 0x04, formal_parameter: 0x05, lexical_block: 0x0b,
+      member: 0x0d, pointer_type: 0x0f, structure_type: 0x13, subroutine_type: 0x15, typedef: 0x16,
+      union_type: 0x17, subrange_type: 0x21, base_type: 0x24, const_type: 0x26, enumerator: 0x28,
+      subprogram: 0x2e, variable: 0x34, volatile_type: 0x35, restrict_type: 0x37
+    };
+    const DW_AT = {
+      location: 0x02, name: 0x03, byte_size: 0x0b, low_pc: 0x11, high_pc: 0x12, const_value: 0x1c,
+      upper_bound: 0x2f, count: 0x37, data_member_location: 0x38, decl_line: 0x3b, encoding: 0x3e,
+      frame_base: 0x40, type: 0x49
+    };
+    // Type tags -> the `kind` of the type objects parseDebugInfo() builds
+    const DWARF_TYPE_KINDS = {
+      [DW_TAG.base_type]: 'base', [DW_TAG.pointer_type]: 'pointer', [DW_TAG.array_type]: 'array',
+      [DW_TAG.structure_type]: 'struct', [DW_TAG.union_type]: 'union', [DW_TAG.enumeration_type]: 'enum',
+      [DW_TAG.typedef]: 'typedef', [DW_TAG.const_type]: 'const', [DW_TAG.volatile_type]: 'volatile',
+      [DW_TAG.restrict_type]: 'restrict', [DW_TAG.subroutine_type]: 'function'
+    };
+
+    /**
+     * Decodes the single-operation location expressions C compilers use for variables
+     * and frame bases. Anything longer, and location lists, give null.
+     * @returns {?Object} { address } for DW_OP_addr, { frameOffset } for DW_OP_fbreg,
+     *   { register } for DW_OP_regN (a value held in DWARF register N), { register, offset }
+     *   for DW_OP_bregN, { cfa: true } for DW_OP_call_frame_cfa
+     */
+    function decodeDwarfLocation(bytes, addressSize) {
+      if(!(bytes instanceof Uint8Array) || bytes.length === 0) return null;
+      const cursor = dwarfCursor(new DataView(bytes.buffer, bytes.byteOffset, bytes.length), 0);
+      const op = cursor.u8();
+      let location = null;
+      if(op === 0x03) {                       // DW_OP_addr
+        location = { address: addressSize === 8 ? cursor.u64() : cursor.u32() };
+      } else if(op === 0x91) {                // DW_OP_fbreg; TinyCC writes the offset as an unsigned 32-bit number
+        location = { frameOffset: cursor.sleb() | 0 };
+      } else if(op >= 0x50 && op <= 0x6f) {   // DW_OP_reg0..31
+        location = { register: op - 0x50 };
+      } else if(op >= 0x70 && op <= 0x8f) {   // DW_OP_breg0..31
+        location = { register: op - 0x70, offset: cursor.sleb() | 0 };
+      } else if(op === 0x9c) {                // DW_OP_call_frame_cfa
+        location = { cfa: true };
+      }
+      return cursor.offset === bytes.length ? location : null;
+    }
+
+    /**
+     * Reads the variables, functions and types of .debug_info, using .debug_abbrev for the
+     * shape of each entry (DWARF 2 to 5).
+     *
+     * @param {Object} parsed - Result of parseELF()
+     * @param {Map<number, number>} sectionBases - Section index -> load address, for object files
+     * @returns {?{globals: Array<Object>, functions: Array<Object>}} null without debug info.
+     *   Variables are { name, type, location, parameter, line } with a location from
+     *   decodeDwarfLocation(). Functions are scopes { name, low, high, frameBase, variables,
+     *   scopes } whose nested scopes are the lexical blocks, each [low, high) in code.
+     *   Types are { kind, name, size, encoding, target, count, members, enumerators }
+     *   with target null for void; they may refer to themselves through pointers.
+     */
+    function parseDebugInfo(parsed, sectionBases) {
+      const info = readDebugSection(parsed, '.debug_info', sectionBases);
+      const abbrev = readDebugSection(parsed, '.debug_abbrev', sectionBases);
+      if(!info || !abbrev) return null;
+      const strings = {
+        [DW_FORM.line_strp]: readDebugSection(parsed, '.debug_line_str', sectionBases),
+        [DW_FORM.strp]: readDebugSection(parsed, '.debug_str', sectionBases)
+      };
+      const abbreviationTables = new Map(); // .debug_abbrev offset -> code -> { tag, hasChildren, attributes }
+      const readAbbreviations = offset => {
+        if(abbreviationTables.has(offset)) return abbreviationTables.get(offset);
+        const table = new Map();
+        const cursor = dwarfCursor(abbrev, offset);
+        for(let code = cursor.uleb(); code !== 0; code = cursor.uleb()) {
+          const entry = { tag: cursor.uleb(), hasChildren: cursor.u8() !== 0, attributes: [] };
+          for(let name = cursor.uleb(), form = cursor.uleb(); name !== 0 || form !== 0; name = cursor.uleb(), form = cursor.uleb()) {
+            entry.attributes.push([name, form, form === DW_FORM.implicit_const ? cursor.sleb() : undefined]);
+          }
+          table.set(code, entry);
+        }
+        abbreviationTables.set(offset, table);
+        return table;
+      };
+
+      // Every entry as { tag, attributes, children, addressSize }, by .debug_info offset
+      const entries = new Map();
+      const units = [];
+      for(let unitStart = 0; unitStart < info.byteLength;) {
+        const cursor = dwarfCursor(info, unitStart);
+        let unitLength = cursor.u32();
+        const offsetSize = unitLength === 0xffffffff ? 8 : 4;
+        if(offsetSize === 8) unitLength = cursor.u64();
+        const unitEnd = cursor.offset + unitLength;
+        const unit = { version: cursor.u16(), offsetSize, unitOffset: unitStart, strings };
+        unitStart = unitEnd;
+        if(unit.version < 2 || unit.version > 5) {
+          console.log(`Skipping .debug_info unit of unsupported DWARF version ${unit.version}`);
+          continue;
+        }
+        let abbreviations;
+        if(unit.version >= 5) {
+          cursor.u8(); // unit_type; only full compilation units follow this header layout
+          unit.addressSize = cursor.u8();
+          abbreviations = readAbbreviations(offsetSize === 8 ? cursor.u64() : cursor.u32());
+        } else {
+          abbreviations = readAbbreviations(offsetSize === 8 ? cursor.u64() : cursor.u32());
+          unit.addressSize = cursor.u8();
+        }
+
+        const parents = [{ children: [] }];
+        while(cursor.offset < unitEnd) {
+          const offset = cursor.offset;
+          const code = cursor.uleb();
+          if(code === 0) {
+            if(parents.length > 1) parents.pop(); // End of a list of children
+            continue;
+          }
+          const abbreviation = abbreviations.get(code);
+          if(!abbreviation) throw new Error(`Unknown abbreviation ${code} at .debug_info+0x${offset.toString(16)}`);
+          const entry = { tag: abbreviation.tag, attributes: {}, children: [], addressSize: unit.addressSize };
+          abbreviation.attributes.forEach(([name, form, implicitValue]) => {
+            entry.attributes[name] = readDwarfForm(cursor, form, unit, implicitValue);
+            if(name === DW_AT.high_pc && form !== DW_FORM.addr) entry.highPcIsLength = true;
+          });
+          entries.set(offset, entry);
+          parents[parents.length - 1].children.push(entry);
+          if(abbreviation.hasChildren) parents.push(entry);
+        }
+        units.push(...parents[0].children);
+      }
+
+      const types = new Map(); // .debug_info offset -> type, built on first use
+      const typeAt = offset => {
+        if(offset === undefined || offset === null || !entries.has(offset)) return null;
+        if(types.has(offset)) return types.get(offset);
+        const entry = entries.get(offset);
+        const a = entry.attributes;
+        const type = { kind: DWARF_TYPE_KINDS[entry.tag] || 'unknown', name: a[DW_AT.name] || '',
+          size: a[DW_AT.byte_size] || 0, encoding: a[DW_AT.encoding], target: null };
+        types.set(offset, type); // Before the target, which may lead back here
+        type.target = typeAt(a[DW_AT.type]);
+        if(type.kind === 'pointer' && !type.size) {
+          type.size = entry.addressSize;
+        } else if(type.kind === 'array') {
+          // int m[2][3] is one array entry with two subranges: nest them, outermost first
+          const counts = entry.children.filter(child => child.tag === DW_TAG.subrange_type).map(child =>
+            child.attributes[DW_AT.count] !== undefined ? child.attributes[DW_AT.count] :
+            child.attributes[DW_AT.upper_bound] !== undefined ? child.attributes[DW_AT.upper_bound] + 1 : 0);
+          let element = type.target;
+          for(let i = counts.length - 1; i > 0; i--) {
+            element = { kind: 'array', name: '', size: 0, target: element, count: counts[i] };
+          }
+          type.target = element;
+          type.count = counts.length > 0 ? counts[0] : 0;
+        } else if(type.kind === 'struct' || type.kind === 'union') {
+          type.members = entry.children.filter(child => child.tag === DW_TAG.member).map(child => {
+            let offset = child.attributes[DW_AT.data_member_location] || 0;
+            if(offset instanceof Uint8Array) { // DWARF 2 style: DW_OP_plus_uconst n
+              offset = offset[0] === 0x23 ? dwarfCursor(new DataView(offset.buffer, offset.byteOffset + 1, offset.length - 1), 0).uleb() : 0;
+            }
+            return { name: child.attributes[DW_AT.name] || '', offset, type: typeAt(child.attributes[DW_AT.type]) };
+          });
+        } else if(type.kind === 'enum') {
+          type.enumerators = new Map(entry.children.filter(child => child.tag === DW_TAG.enumerator)
+            .map(child => [child.attributes[DW_AT.const_value], child.attributes[DW_AT.name]]));
+        }
+        return type;
+      };
+
+      const variableOf = entry => ({
+        name: entry.attributes[DW_AT.name] || '',
+        type: typeAt(entry.attributes[DW_AT.type]),
+        location: decodeDwarfLocation(entry.attributes[DW_AT.location], entry.addressSize),
+        parameter: entry.tag === DW_TAG.formal_parameter,
+        line: entry.attributes[DW_AT.decl_line] || null
+      });
+      // Blocks without a code range (DW_AT_ranges) get low = high = null and count as always in scope
+      const scopeOf = entry => {
+        const a = entry.attributes;
+        const low = a[DW_AT.low_pc] !== undefined ? a[DW_AT.low_pc] : null;
+        const high = low === null || a[DW_AT.high_pc] === undefined ? null :
+          entry.highPcIsLength ? low + a[DW_AT.high_pc] : a[DW_AT.high_pc];
+        const scope = { name: a[DW_AT.name] || '', low, high,
+          frameBase: decodeDwarfLocation(a[DW_AT.frame_base], entry.addressSize), variables: [], scopes: [] };
+        entry.children.forEach(child => {
+          if(child.tag === DW_TAG.formal_parameter || child.tag === DW_TAG.variable) {
+            scope.variables.push(variableOf(child));
+          } else if(child.tag === DW_TAG.lexical_block) {
+            scope.scopes.push(scopeOf(child));
+          }
+        });
+        return scope;
+      };
+
+      const result = { globals: [], functions: [] };
+      // Units of the startup code and libc stubs describe assembler labels, not C variables
+      units.filter(unit => !/\.s$/i.test(unit.attributes[DW_AT.name] || '')).forEach(unit => unit.children.forEach(entry => {
+        if(entry.tag === DW_TAG.variable && entry.attributes[DW_AT.location] !== undefined) {
+          result.globals.push(variableOf(entry));
+        } else if(entry.tag === DW_TAG.subprogram && entry.attributes[DW_AT.low_pc] !== undefined) {
+          result.functions.push(scopeOf(entry));
+        }
+      }));
+      return result;
+    }
+
+    // Program header type and p_flags bits
+    const PT_LOAD = 1;
+    const PF_X = 0x1;
+    const PF_W = 0x2;
+    const PF_R = 0x4;
+
+    // Section header sh_flags bits
+    const SHF_WRITE = 0x1;
+    const SHF_ALLOC = 0x2;
+    const SHF_EXECINSTR = 0x4;
+
+    // Allocated sections are readable; only SHF_WRITE makes them writable and SHF_EXECINSTR executable
+    function sectionProtection(sh) {
+      return (sh.flags & SHF_ALLOC ? UnicornModule.PROT_READ : 0) |
+             (sh.flags & SHF_WRITE ? UnicornModule.PROT_WRITE : 0) |
+             (sh.flags & SHF_EXECINSTR ? UnicornModule.PROT_EXEC : 0);
+    }
+
+    function segmentProtection(ph) {
+      return (ph.flags & PF_R ? UnicornModule.PROT_READ : 0) |
+             (ph.flags & PF_W ? UnicornModule.PROT_WRITE : 0) |
+             (ph.flags & PF_X ? UnicornModule.PROT_EXEC : 0);
+    }
+
+    /**
+     * Loads an executable the way the kernel's ELF loader does: every PT_LOAD segment
+     * is mapped with its own p_flags permissions, filled from the file for `p_filesz`
+     * bytes and zero-filled up to `p_memsz` (which is where .bss lives). Section
+     * headers are not consulted, so stripped and section-less binaries load too.
+     *
+     * Segments that share a page (common when a linker packs read-only data right after
+     * code) get the union of their permissions for that page.
+     *
+     * @param {Object} engine - Unicorn Engine instance
+     * @param {Object} parsed - Result of parseELF() for an executable
+     * @returns {{segments: number, imageEnd: number}} Number of segments loaded and the end of the highest one
+     */
+    function mapLoadSegments(engine, parsed) {
+      const {programHeaders, view} = parsed;
+      const segments = programHeaders.filter(ph => ph.type === PT_LOAD && ph.memsz > 0);
+      const pagePerms = new Map(); // page address -> PROT bits
+      let imageEnd = 0;
+      
+      segments.forEach(ph => {
+        const firstPage = Math.floor(ph.vaddr / 0x1000) * 0x1000;
+        const endPage = Math.ceil((ph.vaddr + ph.memsz) / 0x1000) * 0x1000;
+        for(let page = firstPage; page < endPage; page += 0x1000) {
+          pagePerms.set(page, (pagePerms.get(page) || 0) | segmentProtection(ph));
+        }
+        imageEnd = Math.max(imageEnd, ph.vaddr + ph.memsz);
+      });
+      
+      // Map runs of contiguous pages with identical permissions in one call
+      const pages = Array.from(pagePerms.keys()).sort((a, b) => a - b);
+      for(let i = 0; i < pages.length;) {
+        const start = pages[i];
+        const prot = pagePerms.get(start);
+        let end = start + 0x1000;
+        while(++i < pages.length && pages[i] === end && pagePerms.get(pages[i]) === prot) {
+          end += 0x1000;
+        }
+        console.log(`Mapping segment pages 0x${start.toString(16)}-0x${end.toString(16)}, prot=${prot}`);
+        engine.mem_map(start, end - start, prot);
+      }
+      
+      segments.forEach(ph => {
+        if(ph.filesz > 0) {
+          engine.mem_write(ph.vaddr, new Uint8Array(view.buffer, ph.offset, Math.min(ph.filesz, ph.memsz)));
+        }
+        if(ph.memsz > ph.filesz) {
+          engine.mem_write(ph.vaddr + ph.filesz, new Uint8Array(ph.memsz - ph.filesz));
+        }
+        console.log(`Loaded PT_LOAD 0x${ph.vaddr.toString(16)}: filesz=0x${ph.filesz.toString(16)}, memsz=0x${ph.memsz.toString(16)}, flags=${ph.flags}`);
+      });
+      
+      return { segments: segments.length, imageEnd };
+    }
+
+    // Disassembly for executables without a .text section header (stripped/section-less binaries)
+    function disassembleLoadSegments(parsed, arch, mode) {
+      const {programHeaders, elfHeader, view} = parsed;
+      const headersEnd = elfHeader.phoff + elfHeader.phnum * elfHeader.phentsz;
+      let output = '';
+      
+      programHeaders.forEach((ph, index) => {
+        if(ph.type !== PT_LOAD || !(ph.flags & PF_X) || ph.filesz === 0) return;
+        // A segment loaded from file offset 0 starts with the ELF and program headers - skip them
+        const skip = ph.offset < headersEnd ? Math.min(headersEnd - ph.offset, ph.filesz) : 0;
+        const bytes = new Uint8Array(view.buffer, ph.offset + skip, ph.filesz - skip);
+        output += disassembleSection(bytes, arch, mode, ph.vaddr + skip, `segment ${index}`, null);
+      });
+      
+      return output;
     }
     function showJSON(obj, isLinking = false){
       const operation = isLinking ? 'LINKED' : 'COMPILED';
@@ -1211,6 +4399,13 @@
     let parsed;
     let unicornDebugger = null;
     
+    // C lines with a breakpoint set from the editor gutter. Kept by line number, not address,
+    // so they can be set before the debugger starts and survive recompiling
+    const sourceBreakpointLines = new Set();
+    
+    // Instruction picked for Run to Cursor: { address } or null, see setRunToCursorTarget()
+    let runToCursorTarget = null;
+    
     // Global storage for function names from compile step
     window.compiledFunctionNames = null;
     window.lastCompiledCode = null; // Track what code was compiled
@@ -1251,6 +4446,10 @@
             }
           });
           
+          if (!disasmOutput) {
+            disasmOutput = disassembleLoadSegments(parsed, arch, mode);
+          }
+          
           if (!window.isPerformanceModeActive) {
             if (!window.isPerformanceModeActive) {
           document.getElementById('disassembly').textContent = disasmOutput || 'No executable sections found';
@@ -1360,6 +4559,10 @@
           }
         });
         
+        if (!disasmOutput) {
+          disasmOutput = disassembleLoadSegments(parsed, arch, mode);
+        }
+        
         if (!window.isPerformanceModeActive) {
           document.getElementById('disassembly').textContent = disasmOutput || 'No executable sections found';
         }
@@ -1421,13 +4624,26 @@
       } else {
         console.log(`Executable detected, using ELF virtual addresses directly`);
       }
-      const mappedRegions = new Set();
+      const mappedPages = new Map();       // page address -> PROT bits, for sections that share a page
       const sectionAddresses = new Map();  // Track where we loaded each section
+      const sectionBases = new Map();      // Same, keyed by section index for symbol/relocation lookups
       const functionBoundaries = new Map(); // Map function name to {start, size} - declare at broad scope
       
       console.log(`Processing ${isObjectFile ? 'object file' : 'executable'} with ${sectionHeaders.length} sections`);
       
-      sectionHeaders.forEach(sh=>{
+      // Executables are loaded from their PT_LOAD segments; their sections only tell us where things are
+      const loadFromSegments = !isObjectFile && programHeaders.some(ph => ph.type === PT_LOAD && ph.memsz > 0);
+      if(loadFromSegments) {
+        try {
+          const loaded = mapLoadSegments(engine, parsed);
+          console.log(`Loaded ${loaded.segments} PT_LOAD segments, image ends at 0x${loaded.imageEnd.toString(16)}`);
+        } catch(e) {
+          document.getElementById('emuOutput').textContent = `Error: failed to load program segments: ${e.message || e}`;
+          return;
+        }
+      }
+      
+      sectionHeaders.forEach((sh, sectionIndex)=>{
         // Only map allocated sections (SHF_ALLOC = 0x2) with size > 0
         if((sh.flags & 0x2) && sh.size > 0){
           let targetAddr = sh.addr;
@@ -1446,35 +4662,42 @@
             return;
           }
           
-          // Ensure addresses and sizes are page-aligned
-          const alignedAddr = Math.floor(targetAddr / 0x1000) * 0x1000;
-          const alignedSize = Math.max(0x1000, Math.ceil(sh.size / 0x1000) * 0x1000);
-          
-          // Skip if we've already mapped this memory region
-          const regionKey = `${alignedAddr}-${alignedSize}`;
-          if(mappedRegions.has(regionKey)){
-            console.log(`Skipping already mapped region for section ${sh.name}`);
+          if(loadFromSegments) {
+            sectionAddresses.set(sh.name, targetAddr);
+            sectionBases.set(sectionIndex, targetAddr);
             return;
           }
           
-          const prot = (sh.flags & 0x1 ? UnicornModule.PROT_READ  : 0) |
-                       (sh.flags & 0x2 ? UnicornModule.PROT_WRITE : 0) |
-                       (sh.flags & 0x4 ? UnicornModule.PROT_EXEC  : 0);
+          // Ensure addresses and sizes are page-aligned
+          const alignedAddr = Math.floor(targetAddr / 0x1000) * 0x1000;
+          const alignedEnd = Math.ceil((targetAddr + sh.size) / 0x1000) * 0x1000;
+          
+          const prot = sectionProtection(sh);
           
           try {
-            console.log(`Mapping section ${sh.name}: addr=0x${alignedAddr.toString(16)}, size=0x${alignedSize.toString(16)}, prot=${prot || UnicornModule.PROT_READ}`);
-            engine.mem_map(alignedAddr, alignedSize, prot || UnicornModule.PROT_READ);
-            mappedRegions.add(regionKey);
+            // Map page by page - linked sections such as .text and .libcshim can share a page,
+            // in which case the page gets the union of both sections' permissions
+            console.log(`Mapping section ${sh.name}: addr=0x${alignedAddr.toString(16)}, size=0x${(alignedEnd - alignedAddr).toString(16)}, prot=${prot}`);
+            for(let page = alignedAddr; page < alignedEnd; page += 0x1000) {
+              if(!mappedPages.has(page)) {
+                engine.mem_map(page, 0x1000, prot);
+                mappedPages.set(page, prot);
+              } else if((mappedPages.get(page) | prot) !== mappedPages.get(page)) {
+                mappedPages.set(page, mappedPages.get(page) | prot);
+                engine.mem_protect(page, 0x1000, mappedPages.get(page));
+              }
+            }
             sectionAddresses.set(sh.name, targetAddr);
+            sectionBases.set(sectionIndex, targetAddr);
             
-            // Write section data if it exists in the file
-            if(sh.size > 0 && sh.offset > 0){
+            // Write section data if it exists in the file (.bss and other NOBITS sections stay zeroed)
+            if(sh.size > 0 && sh.offset > 0 && sh.type !== SHT_NOBITS){
               const bytes = new Uint8Array(view.buffer, sh.offset, sh.size);
               engine.mem_write(targetAddr, bytes);
               console.log(`Wrote ${bytes.length} bytes to 0x${targetAddr.toString(16)} for section ${sh.name}`);
             }
           } catch(e) {
-            console.log(`Failed to map section ${sh.name}: addr=0x${alignedAddr.toString(16)}, size=0x${alignedSize.toString(16)}, error=${e.message}`);
+            console.log(`Failed to map section ${sh.name}: addr=0x${alignedAddr.toString(16)}, size=0x${(alignedEnd - alignedAddr).toString(16)}, error=${e.message || e}`);
           }
         } else {
           console.log(`Skipping section ${sh.name}: flags=0x${sh.flags.toString(16)}, addr=0x${sh.addr.toString(16)}, size=${sh.size}`);
@@ -1484,9 +4707,11 @@
       // Set up dynamic stack - find safe address after all sections are mapped
       const STACK_SIZE = 0x10000;     // 64KB stack
       let STACK_ADDR;
+      let imageEnd;                   // First address past the loaded program image
       
       if(isObjectFile) {
         // For object files, use safe address above our base mapping
+        imageEnd = baseAddr;
         STACK_ADDR = baseAddr + 0x100000; // 1MB above last section
       } else {
         // For executables, find highest virtual address and place stack above it
@@ -1511,17 +4736,25 @@
         });
         
         // Place stack well above highest program address
+        imageEnd = highestAddr;
         STACK_ADDR = Math.ceil((highestAddr + 0x100000) / 0x1000) * 0x1000; // Align and add 1MB buffer
       }
       
       console.log(`Setting up dynamic stack at 0x${STACK_ADDR.toString(16)}, size 0x${STACK_SIZE.toString(16)}`);
-      engine.mem_map(STACK_ADDR, STACK_SIZE, UnicornModule.PROT_ALL);
+      engine.mem_map(STACK_ADDR, STACK_SIZE, UnicornModule.PROT_READ | UnicornModule.PROT_WRITE); // No-exec stack
+      
+      // Build argc/argv/envp on the stack; linked executables read them in _start,
+      // object files receive them as main()'s arguments below
+      const processStack = setupProcessStack(engine, is64bit, STACK_ADDR + STACK_SIZE - 0x1000,
+        ['./program'], ['PATH=/usr/bin:/bin', 'HOME=/']);
       
-      // Set stack pointer based on architecture
+      // Set stack pointer based on architecture; RBP = 0 terminates frame chains like at exec
       if(is64bit) {
-        engine.reg_write_i64(UnicornModule.X86_REG_RSP, STACK_ADDR + STACK_SIZE - 0x1000);
+        engine.reg_write_i64(UnicornModule.X86_REG_RSP, processStack.sp);
+        engine.reg_write_i64(UnicornModule.X86_REG_RBP, 0);
       } else {
-        engine.reg_write_i32(UnicornModule.X86_REG_ESP, STACK_ADDR + STACK_SIZE - 0x1000);
+        engine.reg_write_i32(UnicornModule.X86_REG_ESP, processStack.sp);
+        engine.reg_write_i32(UnicornModule.X86_REG_EBP, 0);
       }
       
       // Determine entry point
@@ -1661,6 +4894,14 @@
             return;
           }
         }
+      } else if(symtabSection && symtabSection.size > 0) {
+        // Executables carry final addresses in st_value
+        readSymbolTable(parsed, symtabSection).forEach(symbol => {
+          if(symbol.type === STT_FUNC && symbol.name && symbol.value > 0) {
+            functionBoundaries.set(symbol.name, { start: symbol.value, size: symbol.size });
+          }
+        });
+        console.log(`Read ${functionBoundaries.size} function symbols from the executable`);
       }
       
       if(entryPoint === 0) {
@@ -1668,117 +4909,89 @@
         return;
       }
       
-      // Process relocations to fix function calls
-      const relaTextSection = sectionHeaders.find(sh => sh.name === '.rela.text');
-      if(relaTextSection && relaTextSection.size > 0 && functionMap.size > 0) {
-        console.log('Processing relocations...');
-        const relaData = new Uint8Array(view.buffer, relaTextSection.offset, relaTextSection.size);
-        const relaSize = is64bit ? 24 : 12; // Size of relocation entry
-        const numRelas = relaTextSection.size / relaSize;
-        
-        for(let i = 0; i < numRelas; i++) {
-          const relaOffset = i * relaSize;
-          const offset = is64bit ?
-            Number(new DataView(relaData.buffer, relaData.byteOffset + relaOffset).getBigUint64(0, true)) :
-            new DataView(relaData.buffer, relaData.byteOffset + relaOffset).getUint32(0, true);
-          
-          const info = is64bit ?
-            Number(new DataView(relaData.buffer, relaData.byteOffset + relaOffset + 8).getBigUint64(0, true)) :
-            new DataView(relaData.buffer, relaData.byteOffset + relaOffset + 4).getUint32(0, true);
-          
-          const addend = is64bit ?
-            Number(new DataView(relaData.buffer, relaData.byteOffset + relaOffset + 16).getBigInt64(0, true)) :
-            0;
-          
-          const symbolIndex = is64bit ? Math.floor(info / 0x100000000) : (info >> 8);
-          const relocType = is64bit ? (info & 0xffffffff) : (info & 0xff);
-          
-          console.log(`Raw info: 0x${info.toString(16)}, symbolIndex: ${symbolIndex}, relocType: ${relocType}`);
-          
-          // Get symbol name for this relocation by parsing the symbol table
-          let symbolName = '';
-          
-          if(symbolIndex >= 0 && symtabSection && strtabSection) {
-            const symOffset = symbolIndex * (is64bit ? 24 : 16);
-            console.log(`Looking up symbol ${symbolIndex} at offset ${symOffset} (symtab size: ${symtabSection.size})`);
-            
-            if(symOffset < symtabSection.size) {
-              const symtabData = new Uint8Array(view.buffer, symtabSection.offset, symtabSection.size);
-              const strtabData = new Uint8Array(view.buffer, strtabSection.offset, strtabSection.size);
-              
-              const nameOffset = new DataView(symtabData.buffer, symtabData.byteOffset + symOffset).getUint32(0, true);
-              console.log(`Symbol ${symbolIndex} has name offset ${nameOffset} in string table (size: ${strtabData.length})`);
-              
-              if(nameOffset < strtabData.length && nameOffset > 0) {
-                for(let j = nameOffset; j < strtabData.length; j++) {
-                  if(strtabData[j] === 0) break;
-                  symbolName += String.fromCharCode(strtabData[j]);
-                }
-              }
-              
-              console.log(`Resolved symbol ${symbolIndex} to name: "${symbolName}"`);
-            } else {
-              console.log(`Symbol ${symbolIndex} could not be read from symbol table`);
-            }
-          } else {
-            console.log(`Invalid symbol index ${symbolIndex} or missing symbol/string tables`);
+      // Heap for brk() starts on the page after the image and may grow up to the stack
+      const syscalls = new LinuxSyscallEmulator(engine, is64bit, {
+        heapBase: Math.ceil(imageEnd / 0x1000) * 0x1000,
+        heapLimit: STACK_ADDR
+      });
+      
+      // Object files get a stub page after the exit trampoline; linked executables carry .libcshim
+      const libc = new LibcShim(engine, is64bit, syscalls);
+      const libcStubSection = sectionHeaders.find(sh => sh.name === '.libcshim');
+      if(isObjectFile) {
+        libc.mapStubs(STACK_ADDR + STACK_SIZE + 0x2000);
+      } else if(libcStubSection) {
+        libc.bindStubSection(libcStubSection);
+      } else if(loadFromSegments) {
+        const found = programHeaders.some(ph => ph.type === PT_LOAD && (ph.flags & PF_X) && ph.filesz > 0 &&
+          libc.locateStubs(new Uint8Array(view.buffer, ph.offset, ph.filesz), ph.vaddr));
+        console.log(found ? `libc stubs located at 0x${libc.stubBase.toString(16)}` : 'No libc stub table in executable segments');
+      }
+      
+      // Global variables by name, for watchpoints and debug expressions
+      const dataSymbols = new Map();
+      if(symtabSection && symtabSection.size > 0) {
+        readSymbolTable(parsed, symtabSection).forEach(symbol => {
+          if(symbol.type !== STT_OBJECT || !symbol.name) return;
+          if(!isObjectFile) {
+            dataSymbols.set(symbol.name, { address: symbol.value, size: symbol.size });
+          } else if(sectionBases.has(symbol.shndx)) {
+            dataSymbols.set(symbol.name, { address: sectionBases.get(symbol.shndx) + symbol.value, size: symbol.size });
           }
-          
-          
-          console.log(`Relocation ${i}: offset=0x${offset.toString(16)}, symbolIndex=${symbolIndex}, symbol="${symbolName}", type=${relocType}, addend=${addend}`);
-          
-          if(symbolName && functionMap.has(symbolName)) {
-            const targetAddr = functionMap.get(symbolName);
-            const patchAddr = sectionAddresses.get('.text') + offset;
-            
-            console.log(`Patching call to ${symbolName} at 0x${patchAddr.toString(16)} -> 0x${targetAddr.toString(16)} (type ${relocType})`);
-            
-            // Patch the relocation depending on type
-            try {
-              if(relocType === 4) { // R_X86_64_PLT32 - relative call
-                // For x86_64, the relative address is calculated as: target - (current_addr + 4)
-                // The +4 accounts for the size of the call instruction
-                const relativeAddr = targetAddr - (patchAddr + 4);
-                const patchBytes = new Uint8Array(4);
-                new DataView(patchBytes.buffer).setInt32(0, relativeAddr, true);
-                engine.mem_write(patchAddr, patchBytes);
-                console.log(`Applied PLT32 relocation: target=0x${targetAddr.toString(16)}, patch=0x${patchAddr.toString(16)}, relative=${relativeAddr} (0x${relativeAddr.toString(16)})`);
-              } else if(relocType === 2) { // R_X86_64_PC32 - relative 32-bit
-                const relativeAddr = targetAddr - (patchAddr + 4);
-                const patchBytes = new Uint8Array(4);
-                new DataView(patchBytes.buffer).setInt32(0, relativeAddr, true);
-                engine.mem_write(patchAddr, patchBytes);
-                console.log(`Applied PC32 relocation: target=0x${targetAddr.toString(16)}, patch=0x${patchAddr.toString(16)}, relative=${relativeAddr} (0x${relativeAddr.toString(16)})`);
-              } else if(relocType === 10) { // R_X86_64_32
-                const patchBytes = new Uint8Array(4);
-                new DataView(patchBytes.buffer).setUint32(0, targetAddr, true);
-                engine.mem_write(patchAddr, patchBytes);
-                console.log(`Applied absolute relocation: target = 0x${targetAddr.toString(16)}`);
-              } else {
-                console.log(`Unsupported relocation type: ${relocType}`);
-              }
-            } catch(e) {
-              console.log(`Failed to patch relocation: ${e.message}`);
-            }
-          } else {
-            console.log(`Symbol ${symbolName} not found in function map - available functions: ${Array.from(functionMap.keys()).join(', ')}`);
+        });
+      }
+      
+      // Link the object file in place: patch every relocation section against the loaded sections.
+      // GOT slots and COMMON symbols live in a small data area above the libc stub page.
+      let relocationReport = '';
+      if(isObjectFile) {
+        const linkDataBase = STACK_ADDR + STACK_SIZE + 0x3000;
+        let linkDataEnd = linkDataBase;
+        let linkDataMappedEnd = linkDataBase;
+        const allocateLinkData = (size, align) => {
+          const address = Math.ceil(linkDataEnd / align) * align;
+          linkDataEnd = address + Math.max(size, 1);
+          if(linkDataEnd > linkDataMappedEnd) {
+            const newEnd = Math.ceil(linkDataEnd / 0x1000) * 0x1000;
+            engine.mem_map(linkDataMappedEnd, newEnd - linkDataMappedEnd, UnicornModule.PROT_READ | UnicornModule.PROT_WRITE);
+            linkDataMappedEnd = newEnd;
           }
+          return address;
+        };
+        
+        console.log('Processing relocations...');
+        const relocations = applyRelocations(engine, parsed, sectionBases, {
+          // Functions defined in the program win over the libc shim
+          resolveUndefined: name => functionMap.has(name) ? functionMap.get(name) : libc.resolve(name),
+          allocate: allocateLinkData
+        });
+        console.log(`Applied ${relocations.applied} relocations, ${relocations.unresolved.length} unresolved`);
+        relocations.commonSymbols.forEach((symbol, name) => dataSymbols.set(name, symbol));
+        
+        if(relocations.unresolved.length > 0) {
+          const lines = relocations.unresolved.map(r => `  ${r.site}: ${r.type} against '${r.symbol}' - ${r.reason}`);
+          relocationReport = `\n⚠️ ${relocations.unresolved.length} unresolved relocation(s):\n${lines.join('\n')}\n`;
         }
       }
       
       // Set up proper function call environment for main()
       let exitAddr = null;
       if(isObjectFile && mainAddr && mainAddr > 0) {
-        // Set up argc and argv for main function
+        // Set up argc, argv and envp for main function
         if(is64bit) {
-          engine.reg_write_i64(UnicornModule.X86_REG_RDI, 0); // argc = 0
-          engine.reg_write_i64(UnicornModule.X86_REG_RSI, 0); // argv = NULL
+          engine.reg_write_i64(UnicornModule.X86_REG_RDI, processStack.argc);
+          engine.reg_write_i64(UnicornModule.X86_REG_RSI, processStack.argv);
+          engine.reg_write_i64(UnicornModule.X86_REG_RDX, processStack.envp);
         } else {
-          // For 32-bit, push arguments on stack
+          // For 32-bit, push arguments on stack (cdecl: last argument first)
           const sp = engine.reg_read_i32(UnicornModule.X86_REG_ESP);
-          engine.mem_write(sp - 4, new Uint8Array([0, 0, 0, 0])); // argv = NULL
-          engine.mem_write(sp - 8, new Uint8Array([0, 0, 0, 0])); // argc = 0
-          engine.reg_write_i32(UnicornModule.X86_REG_ESP, sp - 8);
+          const argBytes = new Uint8Array(12);
+          const argView = new DataView(argBytes.buffer);
+          argView.setUint32(0, processStack.argc, true);
+          argView.setUint32(4, processStack.argv, true);
+          argView.setUint32(8, processStack.envp, true);
+          engine.mem_write(sp - 12, argBytes);
+          engine.reg_write_i32(UnicornModule.X86_REG_ESP, sp - 12);
         }
         
         // Set up a return address that will cause execution to stop
@@ -1787,7 +5000,7 @@
         console.log(`Setting up dynamic exit address at 0x${exitAddr.toString(16)}`);
         
         // Map this address to prevent unmapped memory access
-        engine.mem_map(exitAddr, 0x1000, UnicornModule.PROT_ALL);
+        engine.mem_map(exitAddr, 0x1000, UnicornModule.PROT_READ | UnicornModule.PROT_EXEC);
         // Write a simple halt instruction sequence
         const haltBytes = new Uint8Array([0xF4]); // HLT instruction
         engine.mem_write(exitAddr, haltBytes);
@@ -1806,8 +5019,37 @@
         }
       }
       
+      // Line table from the compiler's DWARF info, for line-level source mapping
+      let lineTable = [];
+      try {
+        lineTable = parseDebugLine(parsed, sectionBases);
+        console.log(`Read ${lineTable.length} line table rows from .debug_line`);
+      } catch(e) {
+        console.log(`Ignoring unreadable .debug_line: ${e.message || e}`);
+      }
+      // Variables and their types for the Variables panel
+      let debugInfo = null;
+      try {
+        debugInfo = parseDebugInfo(parsed, sectionBases);
+        if(debugInfo) {
+          console.log(`Read ${debugInfo.functions.length} functions and ${debugInfo.globals.length} globals from .debug_info`);
+        }
+      } catch(e) {
+        console.log(`Ignoring unreadable .debug_info: ${e.message || e}`);
+      }
+      
       // Create debugger instance
-      unicornDebugger = new UnicornDebugger(engine, is64bit, entryPoint);
+      unicornDebugger = new UnicornDebugger(engine, is64bit, entryPoint, {
+        syscalls,
+        libc,
+        instructionBudget: getInstructionBudget(),
+        dataSymbols,
+        functionBoundaries,
+        lineTable,
+        debugInfo
+      });
+      unicornDebugger.recordEveryInstruction = document.getElementById('recordTraceToggle').checked;
+      unicornDebugger.interleaveSource = document.getElementById('interleaveSourceToggle').checked;
       
       // Set up C function mapping if C code is available
       const cCodeInput = document.getElementById('sourceCode');
@@ -1843,6 +5085,8 @@
         
         // Map assembly to C functions
         unicornDebugger.mapAssemblyToC(sourceCodeText, assemblyInstructions);
+        
+        sourceBreakpointLines.forEach(line => unicornDebugger.addSourceBreakpoint(line));
       }
       
       // Add breakpoint at exit address if we set one up
@@ -1854,19 +5098,21 @@
       // Show debugger UI
       
       // Enable debugger controls
-      document.getElementById('stepBtn').disabled = false;
+      UnicornDebugger.STEP_BUTTON_IDS.forEach(id => { document.getElementById(id).disabled = false; });
       document.getElementById('runBtn').disabled = false;
       document.getElementById('resetBtn').disabled = false;
-      // document.getElementById('addBreakpointBtn').disabled = false;
       
       // Update initial state
       unicornDebugger.updateUI();
       if (!window.isPerformanceModeActive) {
         unicornDebugger.highlightCurrentLine();
+        unicornDebugger.updateBreakpointList();
+        unicornDebugger.updateWatchpointList();
+        renderSourceBreakpointMarkers();
       }
       
       if (!window.isPerformanceModeActive) {
-        document.getElementById('emuOutput').textContent = 'Debugger initialized. Ready to step through code.\n';
+        document.getElementById('emuOutput').textContent = 'Debugger initialized. Ready to step through code.\n' + relocationReport;
       }
     });
     
@@ -1877,6 +5123,38 @@
       }
     });
     
+    document.getElementById('stepBackBtn').addEventListener('click', () => {
+      if (unicornDebugger) {
+        unicornDebugger.stepBack();
+      }
+    });
+    
+    document.getElementById('reverseContinueBtn').addEventListener('click', () => {
+      if (unicornDebugger) {
+        unicornDebugger.reverseContinue();
+      }
+    });
+    
+    document.getElementById('stepOverBtn').addEventListener('click', () => {
+      if (unicornDebugger) {
+        unicornDebugger.stepOver();
+      }
+    });
+    
+    document.getElementById('stepOutBtn').addEventListener('click', () => {
+      if (unicornDebugger) {
+        unicornDebugger.stepOut();
+      }
+    });
+    
+    document.getElementById('runToCursorBtn').addEventListener('click', () => {
+      if (!unicornDebugger) {
+        return;
+      }
+      // The editor cursor is only read now, so moving it does not replace a picked instruction
+      unicornDebugger.runToCursor(runToCursorTarget || { line: getSourceCursorLine() });
+    });
+    
     document.getElementById('runBtn').addEventListener('click', () => {
       if (unicornDebugger) {
         unicornDebugger.runUntilHalt();
@@ -1895,12 +5173,320 @@
       }
     });
     
+    // Clicking an instruction in the assembly view toggles a breakpoint on it; shift-click
+    // picks it for Run to Cursor instead, or drops it when it already is
+    document.getElementById('disassembly').addEventListener('click', e => {
+      const line = e.target.closest('[data-address]');
+      if (!unicornDebugger || !line) {
+        return;
+      }
+      if (e.shiftKey) {
+        window.getSelection && window.getSelection().removeAllRanges();
+        const address = parseInt(line.dataset.address, 10);
+        setRunToCursorTarget(runToCursorTarget && runToCursorTarget.address === address ? null : { address });
+      } else if (!(window.getSelection && window.getSelection().toString().length > 0)) {
+        unicornDebugger.toggleBreakpoint(parseInt(line.dataset.address, 10));
+      }
+    });
+    
+    // Interleaved listing: C source lines above the instructions generated for them
+    document.getElementById('interleaveSourceToggle').addEventListener('change', e => {
+      if (unicornDebugger) {
+        unicornDebugger.interleaveSource = e.target.checked;
+        unicornDebugger.highlightCurrentLine();
+      }
+    });
+    
+    // Run to Cursor goes to the instruction shift-clicked in the assembly view; with none
+    // picked (target null) it goes to the C line under the editor cursor
+    function setRunToCursorTarget(target) {
+      runToCursorTarget = target;
+      document.querySelectorAll('#disassembly .cursor-line').forEach(line => line.classList.remove('cursor-line'));
+      if (target) {
+        const line = document.querySelector(`#disassembly [data-address="${target.address}"]`);
+        if (line) {
+          line.classList.add('cursor-line');
+        }
+      }
+    }
+    
+    // Enable/disable checkboxes and delete buttons in the breakpoint list
+    document.getElementById('breakpointList').addEventListener('click', e => {
+      const item = e.target.closest('.breakpoint-item');
+      if (!unicornDebugger || !item) {
+        return;
+      }
+      const address = parseInt(item.dataset.address, 10);
+      if (e.target.dataset.action === 'enable') {
+        unicornDebugger.setBreakpointEnabled(address, e.target.checked);
+      } else if (e.target.dataset.action === 'delete') {
+        unicornDebugger.removeBreakpoint(address);
+      }
+    });
+    
+    // Gutter click in the C source editor
+    function toggleSourceBreakpoint(line) {
+      if (sourceBreakpointLines.has(line)) {
+        sourceBreakpointLines.delete(line);
+        if (unicornDebugger) {
+          unicornDebugger.removeSourceBreakpoint(line);
+        }
+      } else {
+        sourceBreakpointLines.add(line);
+        if (unicornDebugger && unicornDebugger.addSourceBreakpoint(line) === null && !window.isPerformanceModeActive) {
+          document.getElementById('emuOutput').textContent += `\nNo instructions found for C line ${line}; the breakpoint will apply after recompiling.\n`;
+        }
+      }
+      renderSourceBreakpointMarkers();
+    }
+    
+    // Gutter markers: red while the line resolves to an enabled breakpoint (or the debugger
+    // has not started yet), dimmed when disabled, hollow when no instruction belongs to the line
+    function renderSourceBreakpointMarkers() {
+      if (!sourceCodeEditor) {
+        return;
+      }
+      sourceCodeEditor.clearGutter('source-breakpoints');
+      sourceBreakpointLines.forEach(line => {
+        const marker = document.createElement('div');
+        marker.className = 'source-breakpoint-marker';
+        marker.textContent = '●';
+        if (unicornDebugger) {
+          const breakpoint = [...unicornDebugger.userBreakpoints.values()].find(bp => bp.sourceLines.has(line));
+          if (!breakpoint) {
+            marker.classList.add('unresolved');
+            marker.title = 'No instructions for this line';
+          } else if (!breakpoint.enabled) {
+            marker.classList.add('disabled');
+            marker.title = `Disabled breakpoint at 0x${breakpoint.address.toString(16)}`;
+          } else {
+            marker.title = `Breakpoint at 0x${breakpoint.address.toString(16)}`;
+          }
+        }
+        sourceCodeEditor.setGutterMarker(line - 1, 'source-breakpoints', marker);
+      });
+    }
+    
+    // Condition, ignore count and log message fields in the breakpoint list
+    document.getElementById('breakpointList').addEventListener('change', e => {
+      const item = e.target.closest('.breakpoint-item');
+      const field = e.target.dataset.field;
+      if (!unicornDebugger || !item || !field) {
+        return;
+      }
+      try {
+        unicornDebugger.configureBreakpoint(parseInt(item.dataset.address, 10), { [field]: e.target.value });
+      } catch(error) {
+        e.target.classList.add('invalid');
+        e.target.title = error.message;
+        if (!window.isPerformanceModeActive) {
+          document.getElementById('emuOutput').textContent += `\nInvalid breakpoint ${field}: ${error.message}\n`;
+        }
+      }
+    });
+    
+    // Watchpoint form: target expression, size and kind of access
+    function addWatchpointFromForm() {
+      const targetInput = document.getElementById('watchExpression');
+      const mode = document.getElementById('watchAccess').value;
+      if (!unicornDebugger) {
+        document.getElementById('emuOutput').textContent += '\nStart the debugger before adding watchpoints.\n';
+        return;
+      }
+      try {
+        unicornDebugger.addWatchpoint(targetInput.value, {
+          size: parseInt(document.getElementById('watchSize').value, 10) || null,
+          access: mode === 'change' ? 'write' : mode,
+          onChange: mode === 'change'
+        });
+        targetInput.value = '';
+        targetInput.classList.remove('invalid');
+      } catch(error) {
+        targetInput.classList.add('invalid');
+        document.getElementById('emuOutput').textContent += `\nCannot watch '${targetInput.value}': ${error.message || error}\n`;
+      }
+    }
+    
+    document.getElementById('addWatchBtn').addEventListener('click', addWatchpointFromForm);
+    document.getElementById('watchExpression').addEventListener('keydown', e => {
+      if (e.key === 'Enter') {
+        addWatchpointFromForm();
+      }
+    });
+    
+    document.getElementById('watchpointList').addEventListener('click', e => {
+      const item = e.target.closest('.breakpoint-item');
+      if (!unicornDebugger || !item) {
+        return;
+      }
+      const id = parseInt(item.dataset.id, 10);
+      if (e.target.dataset.action === 'enable') {
+        unicornDebugger.setWatchpointEnabled(id, e.target.checked);
+      } else if (e.target.dataset.action === 'delete') {
+        unicornDebugger.removeWatchpoint(id);
+      }
+    });
+    
+    // Call Stack: clicking a frame shows its stack slice and C function
+    document.getElementById('callStackList').addEventListener('click', e => {
+      const item = e.target.closest('.callstack-frame');
+      if (unicornDebugger && item) {
+        unicornDebugger.selectCallStackFrame(parseInt(item.dataset.frame, 10));
+      }
+    });
+    
+    // Variables: clicking one stored in memory shows it in the Memory tab
+    document.getElementById('variableList').addEventListener('click', e => {
+      const item = e.target.closest('.variable-item');
+      if (unicornDebugger && item && item.dataset.address) {
+        unicornDebugger.navigateMemory(Number(item.dataset.address));
+        switchTab('memory-view');
+      }
+    });
+    
+    // Memory tab: go to an address or symbol, pick how rows are decoded, follow pointers
+    function showMemoryFromForm() {
+      const input = document.getElementById('memoryAddress');
+      if (!unicornDebugger) {
+        document.getElementById('emuOutput').textContent += '\nStart the debugger before viewing memory.\n';
+        return;
+      }
+      try {
+        unicornDebugger.showMemory(input.value);
+        input.classList.remove('invalid');
+      } catch(error) {
+        input.classList.add('invalid');
+        document.getElementById('emuOutput').textContent += `\nCannot show memory at '${input.value}': ${error.message || error}\n`;
+      }
+    }
+    
+    document.getElementById('memoryGoBtn').addEventListener('click', showMemoryFromForm);
+    document.getElementById('memoryAddress').addEventListener('keydown', e => {
+      if (e.key === 'Enter') {
+        showMemoryFromForm();
+      }
+    });
+    
+    document.getElementById('memoryBackBtn').addEventListener('click', () => {
+      if (unicornDebugger) {
+        unicornDebugger.memoryBack();
+      }
+    });
+    
+    document.getElementById('memoryType').addEventListener('change', e => {
+      if (unicornDebugger) {
+        unicornDebugger.memoryView.type = e.target.value;
+        unicornDebugger.refreshMemoryView();
+      }
+    });
+    
+    document.getElementById('memoryDump').addEventListener('click', e => {
+      const byte = e.target.closest('.memory-byte');
+      if (unicornDebugger && byte) {
+        unicornDebugger.followPointer(Number(byte.dataset.address));
+      }
+    });
+    
+    // Registers and stack words: clicking a value edits it in place. Enter writes it
+    // (any debug expression), Escape or clicking elsewhere keeps the old value.
+    function editInPlace(valueElement, write) {
+      if (!unicornDebugger || unicornDebugger.isRunning || valueElement.querySelector('input')) {
+        return;
+      }
+      const original = valueElement.textContent;
+      const input = document.createElement('input');
+      input.className = 'value-edit';
+      input.value = original.trim();
+      valueElement.textContent = '';
+      valueElement.appendChild(input);
+      input.focus();
+      input.select();
+      
+      let done = false;
+      input.addEventListener('keydown', e => {
+        if (e.key === 'Enter') {
+          try {
+            done = true;
+            write(input.value); // Redraws the panels, input included
+          } catch(error) {
+            done = false;
+            input.classList.add('invalid');
+            input.title = error.message;
+            document.getElementById('emuOutput').textContent += `\nCannot edit: ${error.message}\n`;
+          }
+        } else if (e.key === 'Escape') {
+          input.blur();
+        }
+      });
+      input.addEventListener('blur', () => {
+        if (!done) {
+          done = true;
+          valueElement.textContent = original;
+        }
+      });
+    }
+    
+    document.getElementById('registerGrid').addEventListener('click', e => {
+      const cell = e.target.closest('.register[data-register]');
+      if (cell && e.target.closest('.reg-value')) {
+        editInPlace(cell.querySelector('.reg-value'), text => unicornDebugger.editRegister(cell.dataset.register, text));
+      }
+    });
+    
+    document.getElementById('stackView').addEventListener('click', e => {
+      const item = e.target.closest('.stack-item[data-address]');
+      if (item && e.target.closest('.stack-value')) {
+        editInPlace(item.querySelector('.stack-value'), text =>
+          unicornDebugger.editMemory(Number(item.dataset.address), unicornDebugger.is64bit ? 8 : 4, text));
+      }
+    });
+    
+    // Timeline: dragging shows recorded steps, the last position is the live state
+    document.getElementById('timelineSlider').addEventListener('input', e => {
+      if (unicornDebugger && !unicornDebugger.isRunning) {
+        unicornDebugger.showTimelineStep(parseInt(e.target.value, 10));
+      }
+    });
+    
+    document.getElementById('timelineLiveBtn').addEventListener('click', () => {
+      if (unicornDebugger && !unicornDebugger.isRunning) {
+        unicornDebugger.showTimelineStep(unicornDebugger.trace.length);
+      }
+    });
+    
+    document.getElementById('timelineRewindBtn').addEventListener('click', () => {
+      if (unicornDebugger) {
+        unicornDebugger.rewindToTimelineStep();
+      }
+    });
+    
+    document.getElementById('recordTraceToggle').addEventListener('change', e => {
+      if (unicornDebugger) {
+        unicornDebugger.recordEveryInstruction = e.target.checked;
+      }
+    });
+    
+    // Session instruction budget from the input next to the debugger controls
+    function getInstructionBudget() {
+      const input = document.getElementById('instructionBudget');
+      const budget = input ? parseInt(input.value, 10) : NaN;
+      return budget > 0 ? budget : UnicornDebugger.DEFAULT_INSTRUCTION_BUDGET;
+    }
+    
+    // A changed budget applies from the next Run of the current session
+    document.getElementById('instructionBudget').addEventListener('change', () => {
+      if (unicornDebugger) {
+        unicornDebugger.instructionBudget = getInstructionBudget();
+      }
+    });
+    
     // Function to update debugger display with default values
     function updateDebuggerDisplay() {
       // Reset register display
       const registerGrid = document.getElementById('registerGrid');
       if (registerGrid) {
-        const registers = ['RAX', 'RBX', 'RCX', 'RDX', 'RSI', 'RDI', 'RSP', 'RBP', 'RIP', 'RFLAGS'];
+        const registers = ['RAX', 'RBX', 'RCX', 'RDX', 'RSI', 'RDI', 'RSP', 'RBP',
+          'R8', 'R9', 'R10', 'R11', 'R12', 'R13', 'R14', 'R15', 'RIP', 'RFLAGS'];
         registerGrid.innerHTML = '';
         registers.forEach(regName => {
           const regDiv = document.createElement('div');
@@ -1912,6 +5498,12 @@
           registerGrid.appendChild(regDiv);
         });
       }
+      ['flagsStrip', 'branchInfo'].forEach(id => {
+        const element = document.getElementById(id);
+        if (element) {
+          element.innerHTML = '';
+        }
+      });
       
       // Reset stack display
       const stackView = document.getElementById('stackView');